@@ -0,0 +1,86 @@
+const {
+    User, Donor, Request, NotificationDelivery, OutboundMessage, RefreshToken, AuthToken, RoleAudit, LoginAttempt,
+} = require('./models');
+const { recordRoleChange } = require('./utils');
+const { transitionRequest } = require('./lifecycle');
+const { disconnectUser } = require('./events');
+const { BadRequestError, ConflictError } = require('./errors');
+
+const ROLES = ['user', 'donor', 'admin', 'staff'];
+const OPEN_STATUSES = ['Pending', 'Approved'];
+
+const assertNotLastAdmin = async (user) => {
+    if (user.role !== 'admin') return;
+    const admins = await User.countDocuments({ role: 'admin' });
+    if (admins <= 1) throw new ConflictError('Cannot remove the last admin account', { code: 'LAST_ADMIN' });
+};
+
+// Accepted pledges on requests that are still open; pledges already donated are kept as history
+const withdrawPledges = async (userId) => {
+    await Request.updateMany(
+        { status: { $in: OPEN_STATUSES }, 'responses.user_id': userId },
+        { $pull: { responses: { user_id: userId, donation_id: null } } }
+    );
+};
+
+// The Donor profile follows the role: created on becoming a donor, removed on leaving the role
+const syncDonorProfile = async (user) => {
+    if (user.role === 'donor') {
+        await Donor.updateOne({ user_id: user._id }, { $setOnInsert: { user_id: user._id } }, { upsert: true });
+    } else {
+        await withdrawPledges(user._id);
+        await Donor.deleteOne({ user_id: user._id });
+    }
+};
+
+// user is a User document; grantedBy is null for self-service changes
+const changeRole = async (user, role, { grantedBy = null, via }) => {
+    if (!ROLES.includes(role)) throw new BadRequestError(`Invalid role. Valid options: ${ROLES.join(', ')}`);
+    const fromRole = user.role;
+    if (fromRole === role) return user;
+
+    if (['user', 'donor'].includes(role) && !user.region) throw new BadRequestError('A region is required for this role');
+    if (role === 'staff' && !user.bank_id) throw new BadRequestError('Staff accounts need a bank_id, use an invite instead');
+    await assertNotLastAdmin(user);
+
+    user.role = role;
+    // only staff belong to a bank; coming back to staff takes a new invite
+    if (role !== 'staff') user.bank_id = null;
+    await user.save();
+    await syncDonorProfile(user);
+    await recordRoleChange({ user, fromRole, grantedBy, via });
+    disconnectUser(user._id);
+    return user;
+};
+
+// Cancels the user's open requests, withdraws pledges and removes everything tied to the account.
+// The cleanup runs as the system, whoever asked for the deletion.
+const deleteAccount = async (user) => {
+    await assertNotLastAdmin(user);
+
+    const open = await Request.find({ requester_id: user._id, status: { $in: OPEN_STATUSES } });
+    for (const request of open) {
+        await transitionRequest(request, 'Cancelled', null, 'Requester account deleted');
+    }
+    await withdrawPledges(user._id);
+
+    await Promise.all([
+        Donor.deleteOne({ user_id: user._id }),
+        NotificationDelivery.deleteMany({ recipient: user._id }),
+        OutboundMessage.deleteMany({ recipient: user._id }),
+        RefreshToken.deleteMany({ user_id: user._id }),
+        AuthToken.deleteMany({ user_id: user._id }),
+        LoginAttempt.deleteOne({ key: `email:${user.email.toLowerCase()}` }),
+        // approver contact details copied onto requests this user approved
+        Request.updateMany(
+            { history: { $elemMatch: { actor: user._id, to: 'Approved' } }, 'approved_by.phone': user.phone },
+            { $unset: { approved_by: 1 } }
+        ),
+        // audit entries stay but no longer identify the person
+        RoleAudit.updateMany({ user_id: user._id }, { $unset: { email: 1 } }),
+    ]);
+    await User.deleteOne({ _id: user._id });
+    disconnectUser(user._id);
+};
+
+module.exports = { ROLES, changeRole, syncDonorProfile, deleteAccount };
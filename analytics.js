@@ -0,0 +1,159 @@
+const { User, Donor, Request, BloodBank, BloodUnit } = require('./models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const PERIOD_FORMATS = {
+    day: '%Y-%m-%d',
+    week: '%G-W%V', // ISO week
+    month: '%Y-%m',
+};
+
+// from/to as ISO dates, defaulting to the last 30 days. Returns { error } when invalid.
+const parseRange = ({ from, to }) => {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+    if (isNaN(start) || isNaN(end)) return { error: 'from/to must be valid dates' };
+    if (start > end) return { error: 'from must be before to' };
+    return { from: start, to: end };
+};
+
+const median = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const requestsPerPeriod = async ({ from, to, interval = 'day' }) => {
+    return Request.aggregate([
+        { $match: { createdAt: { $gte: from, $lte: to } } },
+        {
+            $group: {
+                _id: {
+                    period: { $dateToString: { format: PERIOD_FORMATS[interval], date: '$createdAt' } },
+                    blood_group: '$blood_group',
+                    region: '$region',
+                },
+                requests: { $sum: 1 },
+                units: { $sum: { $ifNull: ['$units', 1] } },
+                critical: { $sum: { $cond: ['$is_critical', 1, 0] } },
+            },
+        },
+        { $project: { _id: 0, period: '$_id.period', blood_group: '$_id.blood_group', region: '$_id.region', requests: 1, units: 1, critical: 1 } },
+        { $sort: { period: 1, blood_group: 1, region: 1 } },
+    ]);
+};
+
+// Requests created in the range; older requests without fulfilled_at fall back to updatedAt
+const fulfilmentStats = async ({ from, to }) => {
+    const [byStatus, fulfilled] = await Promise.all([
+        Request.aggregate([
+            { $match: { createdAt: { $gte: from, $lte: to } } },
+            { $group: { _id: '$status', count: { $sum: 1 } } },
+        ]),
+        Request.aggregate([
+            { $match: { createdAt: { $gte: from, $lte: to }, status: 'Fulfilled' } },
+            { $project: { hours: { $divide: [{ $subtract: [{ $ifNull: ['$fulfilled_at', '$updatedAt'] }, '$createdAt'] }, HOUR_MS] } } },
+        ]),
+    ]);
+
+    const counts = Object.fromEntries(byStatus.map((s) => [s._id, s.count]));
+    const total = byStatus.reduce((sum, s) => sum + s.count, 0);
+    const closed = (counts.Fulfilled || 0) + (counts.Cancelled || 0) + (counts.Expired || 0);
+    const medianHours = median(fulfilled.map((r) => r.hours));
+
+    return {
+        total,
+        by_status: counts,
+        fulfilment_rate: total ? (counts.Fulfilled || 0) / total : null,
+        // share of requests that reached a final state and were fulfilled
+        closed_fulfilment_rate: closed ? (counts.Fulfilled || 0) / closed : null,
+        median_hours_to_fulfil: medianHours === null ? null : Math.round(medianHours * 100) / 100,
+    };
+};
+
+const donationsPerPeriod = async ({ from, to, interval = 'day' }) => {
+    return Donor.aggregate([
+        { $unwind: '$donation_log' },
+        { $match: { 'donation_log.date': { $gte: from, $lte: to } } },
+        {
+            $group: {
+                _id: { $dateToString: { format: PERIOD_FORMATS[interval], date: '$donation_log.date' } },
+                donations: { $sum: 1 },
+                units: { $sum: { $ifNull: ['$donation_log.units', 1] } },
+                donors: { $addToSet: '$_id' },
+            },
+        },
+        { $project: { _id: 0, period: '$_id', donations: 1, units: 1, donors: { $size: '$donors' } } },
+        { $sort: { period: 1 } },
+    ]);
+};
+
+const topDonors = async ({ from, to, limit = 10 }) => {
+    return Donor.aggregate([
+        { $unwind: '$donation_log' },
+        { $match: { 'donation_log.date': { $gte: from, $lte: to } } },
+        {
+            $group: {
+                _id: '$user_id',
+                donations: { $sum: 1 },
+                units: { $sum: { $ifNull: ['$donation_log.units', 1] } },
+                last_donation: { $max: '$donation_log.date' },
+                reputation: { $first: '$reputation' },
+            },
+        },
+        { $sort: { units: -1, donations: -1 } },
+        { $limit: limit },
+        { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+        { $unwind: '$user' },
+        {
+            $project: {
+                _id: 0,
+                user_id: '$_id',
+                full_name: '$user.full_name',
+                blood_type: '$user.blood_type',
+                region: '$user.region',
+                donations: 1,
+                units: 1,
+                last_donation: 1,
+                reputation: 1,
+            },
+        },
+    ]);
+};
+
+// Units each bank held at `at`: collected by then, not yet expired, used or discarded
+const bankStockSnapshot = async ({ at = new Date() }) => {
+    const rows = await BloodUnit.aggregate([
+        {
+            $match: {
+                collection_date: { $lte: at },
+                expiry_date: { $gt: at },
+                $and: [
+                    { $or: [{ used_at: null }, { used_at: { $gt: at } }] },
+                    { $or: [{ status: { $ne: 'discarded' } }, { updatedAt: { $gt: at } }] },
+                ],
+            },
+        },
+        { $group: { _id: { bank_id: '$bank_id', blood_type: '$blood_type' }, units: { $sum: 1 } } },
+    ]);
+    const banks = await BloodBank.find().select('name location');
+
+    const snapshot = [{ bank_id: null, name: 'Central stock', units: {}, total: 0 }].concat(
+        banks.map((bank) => ({ bank_id: bank._id, name: bank.name, location: bank.location, units: {}, total: 0 }))
+    );
+    rows.forEach((row) => {
+        const entry = snapshot.find((b) => String(b.bank_id) === String(row._id.bank_id));
+        if (!entry) return;
+        entry.units[row._id.blood_type] = row.units;
+        entry.total += row.units;
+    });
+
+    return { at, banks: snapshot };
+};
+
+module.exports = {
+    PERIOD_FORMATS, parseRange,
+    requestsPerPeriod, fulfilmentStats, donationsPerPeriod, topDonors, bankStockSnapshot,
+};
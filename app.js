@@ -2,28 +2,66 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const routes = require('./routes');
-const { seedAdmin } = require('./utils');
+const { seedAdmin, migrateEmailVerification } = require('./utils');
+const { expireUnits, migrateLegacyStock, assertTransactionSupport } = require('./inventory');
+const { expireStaleRequests, migrateCriticalStatus } = require('./lifecycle');
+const { processOutbox } = require('./channels');
+const { migrateNotificationDeliveries } = require('./notifications');
+const { NotFoundError, errorHandler } = require('./errors');
 const cors = require('cors');
 const app = express();
 const PORT = process.env.PORT || 4000;
+const EXPIRY_CHECK_MINUTES = parseInt(process.env.EXPIRY_CHECK_MINUTES) || 60;
+const OUTBOX_INTERVAL_SECONDS = parseInt(process.env.OUTBOX_INTERVAL_SECONDS) || 60;
+
+// Login throttling keys on req.ip, so behind a proxy set TRUST_PROXY (hop count or subnet list)
+if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
 
 app.use(express.json());
 app.use(cors());
 
+const runExpiryChecks = () => {
+    expireUnits().catch(err => console.error('Unit expiry error:', err.message));
+    expireStaleRequests().catch(err => console.error('Request expiry error:', err.message));
+};
+
 mongoose.connect(process.env.DB_URI)
-    .then(() => {
+    .then(async () => {
         console.log('MongoDB Connected');
+        try {
+            await assertTransactionSupport();
+        } catch (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
         seedAdmin();
+        migrateEmailVerification().catch(err => console.error('User migration error:', err.message));
+        migrateCriticalStatus().catch(err => console.error('Request migration error:', err.message));
+        migrateNotificationDeliveries().catch(err => console.error('Notification migration error:', err.message));
+        // legacy stock counters have to become units before anything recomputes them
+        migrateLegacyStock()
+            .catch(err => console.error('Inventory migration error:', err.message))
+            .finally(() => {
+                runExpiryChecks();
+                setInterval(runExpiryChecks, EXPIRY_CHECK_MINUTES * 60 * 1000);
+            });
+        setInterval(() => {
+            processOutbox().catch(err => console.error('Outbox error:', err.message));
+        }, OUTBOX_INTERVAL_SECONDS * 1000);
     })
     .catch(err => console.error('MongoDB connection error:', err));
 
 app.use('/api', routes);
 
-app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(500).json({ success: false, message: 'Something went wrong', data: err.message });
+app.use((req, res, next) => {
+    next(new NotFoundError(`Cannot ${req.method} ${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
 });
 
+app.use(errorHandler);
+
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,195 @@
+const { once } = require('events');
+const { User, Donor, BloodInventory, Request, BloodBank } = require('./models');
+const { BLOOD_TYPES, toPoint } = require('./utils');
+const { setUnitCount, refreshInventory, withTransaction } = require('./inventory');
+const { toCsvLine } = require('./csv');
+
+// Each export streams a cursor; toRows flattens one document into CSV rows, toJSON keeps nesting
+const EXPORTS = {
+    users: {
+        columns: ['_id', 'full_name', 'email', 'phone', 'role', 'blood_type', 'region'],
+        cursor: () => User.find().select('-password_hash -__v').lean().cursor(),
+        toJSON: (doc) => doc,
+        toRows: (doc) => [doc],
+    },
+    donors: {
+        columns: [
+            'donor_id', 'user_id', 'full_name', 'email', 'phone', 'blood_type', 'region', 'availability',
+            'reputation', 'last_donation_date', 'donation_date', 'donation_units', 'donation_notes',
+        ],
+        cursor: () => Donor.find().populate('user_id', 'full_name email phone blood_type region').lean().cursor(),
+        toJSON: (doc) => doc,
+        toRows: (doc) => {
+            const base = {
+                donor_id: doc._id,
+                user_id: doc.user_id?._id,
+                full_name: doc.user_id?.full_name,
+                email: doc.user_id?.email,
+                phone: doc.user_id?.phone,
+                blood_type: doc.user_id?.blood_type,
+                region: doc.user_id?.region,
+                availability: doc.availability,
+                reputation: doc.reputation,
+                last_donation_date: doc.last_donation_date,
+            };
+            // one row per donation, donors who never donated still get a row
+            if (!doc.donation_log?.length) return [base];
+            return doc.donation_log.map((entry) => ({
+                ...base,
+                donation_date: entry.date,
+                donation_units: entry.units,
+                donation_notes: entry.notes,
+            }));
+        },
+    },
+    requests: {
+        columns: [
+            '_id', 'requester_id', 'blood_group', 'units', 'region', 'hospital', 'status', 'is_critical',
+            'bank_id', 'createdAt', 'fulfilled_at', 'notes',
+        ],
+        cursor: () => Request.find().lean().cursor(),
+        toJSON: (doc) => doc,
+        toRows: (doc) => [doc],
+    },
+    inventory: {
+        columns: ['blood_type', 'available_units', 'status', 'low_threshold', 'high_threshold'],
+        cursor: () => BloodInventory.find().lean().cursor(),
+        toJSON: (doc) => doc,
+        toRows: (doc) => [doc],
+    },
+    banks: {
+        columns: ['name', 'location', 'contact', 'latitude', 'longitude', ...BLOOD_TYPES],
+        cursor: () => BloodBank.find().lean().cursor(),
+        toJSON: (doc) => doc,
+        toRows: (doc) => [{
+            ...doc,
+            ...doc.available_units,
+            longitude: doc.geo_location?.coordinates[0],
+            latitude: doc.geo_location?.coordinates[1],
+        }],
+    },
+};
+
+const write = async (res, chunk) => {
+    if (!res.write(chunk)) await once(res, 'drain');
+};
+
+const streamExport = async (res, resource, format) => {
+    const definition = EXPORTS[resource];
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${resource}-${stamp}.${format}"`);
+
+    if (format === 'csv') {
+        await write(res, toCsvLine(definition.columns));
+        for await (const doc of definition.cursor()) {
+            for (const row of definition.toRows(doc)) {
+                await write(res, toCsvLine(definition.columns.map((column) => row[column])));
+            }
+        }
+    } else {
+        let first = true;
+        await write(res, '[');
+        for await (const doc of definition.cursor()) {
+            await write(res, (first ? '' : ',') + JSON.stringify(definition.toJSON(doc)));
+            first = false;
+        }
+        await write(res, ']');
+    }
+    res.end();
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Validators return { errors, value } for one row; `context` carries lookups shared across rows.
+// apply writes one row inside the import's transaction, finish runs once it has committed.
+const IMPORTS = {
+    banks: {
+        prepare: async () => ({ seen: new Set(), existing: new Set(await BloodBank.distinct('name')) }),
+        validate: (row, context) => {
+            const errors = [];
+            const name = String(row.name ?? '').trim();
+            const location = String(row.location ?? '').trim();
+            if (!name) errors.push({ field: 'name', message: 'Name is required' });
+            if (!location) errors.push({ field: 'location', message: 'Location is required' });
+            if (name && context.seen.has(name)) errors.push({ field: 'name', message: 'Duplicate name in this import' });
+            context.seen.add(name);
+
+            const hasCoordinates = !isBlank(row.latitude) || !isBlank(row.longitude);
+            const point = hasCoordinates ? toPoint(row.latitude, row.longitude) : null;
+            if (hasCoordinates && !point) errors.push({ field: 'latitude', message: 'Invalid latitude/longitude' });
+
+            return {
+                errors,
+                value: { name, location, contact: row.contact ? String(row.contact).trim() : undefined, geo_location: point || undefined },
+            };
+        },
+        describe: (value, context) => ({ name: value.name, action: context.existing.has(value.name) ? 'update' : 'create' }),
+        apply: async (value, session) => {
+            await BloodBank.findOneAndUpdate({ name: value.name }, value, { upsert: true, runValidators: true, session });
+        },
+    },
+    inventory: {
+        prepare: async () => {
+            const banks = await BloodBank.find().select('name');
+            return { seen: new Set(), banks: new Map(banks.map((bank) => [bank.name, bank._id])) };
+        },
+        validate: (row, context) => {
+            const errors = [];
+            const bloodType = String(row.blood_type ?? '').trim();
+            const units = Number(row.units);
+            const bankName = String(row.bank ?? '').trim();
+
+            if (!BLOOD_TYPES.includes(bloodType)) errors.push({ field: 'blood_type', message: 'Invalid blood type' });
+            if (isBlank(row.units) || !Number.isInteger(units) || units < 0) {
+                errors.push({ field: 'units', message: 'Units must be a non-negative integer' });
+            }
+            if (bankName && !context.banks.has(bankName)) errors.push({ field: 'bank', message: `Unknown blood bank: ${bankName}` });
+
+            const key = `${bankName}|${bloodType}`;
+            if (context.seen.has(key)) errors.push({ field: 'blood_type', message: 'Duplicate blood type for this bank' });
+            context.seen.add(key);
+
+            return { errors, value: { blood_type: bloodType, units, bank: bankName || null, bank_id: context.banks.get(bankName) || null } };
+        },
+        describe: (value) => ({ blood_type: value.blood_type, bank: value.bank || 'Central stock', units: value.units }),
+        apply: async (value, session) => {
+            await setUnitCount(value.blood_type, value.bank_id, value.units, session);
+        },
+        finish: async (values) => {
+            for (const bloodType of new Set(values.map((value) => value.blood_type))) await refreshInventory(bloodType);
+        },
+    },
+};
+
+// Validates every row first; nothing is written unless all rows pass and dryRun is false, and then
+// all rows are written in one transaction so a failure part way leaves nothing behind.
+// Row numbers are 1-based data rows (the CSV header is not counted).
+const runImport = async (resource, rows, { dryRun = false } = {}) => {
+    const definition = IMPORTS[resource];
+    const context = await definition.prepare();
+    const errors = [];
+    const values = [];
+
+    rows.forEach((row, index) => {
+        const result = definition.validate(row || {}, context);
+        result.errors.forEach((error) => errors.push({ row: index + 1, ...error }));
+        values.push(result.value);
+    });
+
+    const preview = values.map((value) => definition.describe(value, context));
+    if (errors.length || dryRun) {
+        return { applied: false, dry_run: dryRun, total: rows.length, errors, rows: preview };
+    }
+
+    await withTransaction(async (session) => {
+        for (const value of values) {
+            await definition.apply(value, session);
+        }
+    });
+    if (definition.finish) await definition.finish(values);
+    return { applied: true, dry_run: false, total: rows.length, errors: [], rows: preview };
+};
+
+module.exports = { EXPORTS, IMPORTS, streamExport, runImport };
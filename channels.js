@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { User, OutboundMessage } = require('./models');
+
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = 50;
+const STALE_SENDING_MS = 10 * 60 * 1000;
+const OUTBOX_DIR = process.env.OUTBOX_DIR || path.join(__dirname, 'outbox');
+
+// Stub transports so the queue can be exercised without a real provider.
+// A transport is { send: async ({ to, subject, body }) => {} } and throws to trigger a retry.
+const consoleTransport = (channel) => ({
+    send: async ({ to, subject, body }) => {
+        console.log(`[${channel}] to=${to}${subject ? ` subject="${subject}"` : ''} ${body}`);
+    },
+});
+
+const fileTransport = (channel) => ({
+    send: async (message) => {
+        await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+        await fs.promises.appendFile(
+            path.join(OUTBOX_DIR, `${channel}.log`),
+            JSON.stringify({ ...message, sent_at: new Date() }) + '\n'
+        );
+    },
+});
+
+const transports = {
+    email: { console: consoleTransport('email'), file: fileTransport('email') },
+    sms: { console: consoleTransport('sms'), file: fileTransport('sms') },
+};
+
+// Lets a real provider be plugged in, e.g. registerTransport('sms', 'twilio', { send })
+const registerTransport = (channel, name, transport) => {
+    transports[channel][name] = transport;
+};
+
+const getTransport = (channel) => {
+    const name = process.env[`${channel.toUpperCase()}_TRANSPORT`] || 'console';
+    const transport = transports[channel][name];
+    if (!transport) throw new Error(`Unknown ${channel} transport: ${name}`);
+    return transport;
+};
+
+const parseTime = (value) => {
+    const match = /^(\d{2}):(\d{2})$/.exec(value || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+// When quiet hours are active, the Date they end; otherwise null
+const quietHoursEnd = (preferences, now = new Date()) => {
+    const start = parseTime(preferences?.quiet_hours?.start);
+    const end = parseTime(preferences?.quiet_hours?.end);
+    if (start === null || end === null || start === end) return null;
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const inQuietHours = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    if (!inQuietHours) return null;
+
+    const endDate = new Date(now);
+    endDate.setHours(Math.floor(end / 60), end % 60, 0, 0);
+    if (endDate <= now) endDate.setDate(endDate.getDate() + 1);
+    return endDate;
+};
+
+const backoffMs = (attempts) => Math.min(2 ** attempts, 60) * 60 * 1000;
+
+const deliver = async (message) => {
+    try {
+        await getTransport(message.channel).send({ to: message.to, subject: message.subject, body: message.body });
+        message.status = 'sent';
+        message.sent_at = new Date();
+        message.last_error = null;
+    } catch (error) {
+        message.attempts += 1;
+        message.last_error = error.message;
+        if (message.attempts >= MAX_ATTEMPTS) {
+            message.status = 'failed';
+        } else {
+            message.status = 'queued';
+            message.next_attempt_at = new Date(Date.now() + backoffMs(message.attempts));
+        }
+    }
+    return message.save();
+};
+
+// Claims due messages one at a time so two workers never send the same message
+const processOutbox = async () => {
+    // messages left 'sending' by a crashed worker go back in the queue
+    await OutboundMessage.updateMany(
+        { status: 'sending', updatedAt: { $lte: new Date(Date.now() - STALE_SENDING_MS) } },
+        { status: 'queued' }
+    );
+
+    let processed = 0;
+    while (processed < BATCH_SIZE) {
+        const message = await OutboundMessage.findOneAndUpdate(
+            { status: 'queued', next_attempt_at: { $lte: new Date() } },
+            { status: 'sending' },
+            { sort: { next_attempt_at: 1 }, new: true }
+        );
+        if (!message) break;
+        await deliver(message);
+        processed += 1;
+    }
+    return processed;
+};
+
+// Queues email/SMS copies of a notification according to each recipient's preferences.
+// Urgent messages ignore quiet hours.
+const queueOutbound = async (notification, recipientIds, { urgent = false } = {}) => {
+    const users = await User.find({ _id: { $in: recipientIds } }).select('email phone notification_preferences');
+    const messages = [];
+
+    for (const user of users) {
+        const preferences = user.notification_preferences || {};
+        const base = {
+            recipient: user._id,
+            notification_id: notification._id,
+            next_attempt_at: (!urgent && quietHoursEnd(preferences)) || new Date(),
+        };
+
+        if (preferences.email !== false && user.email) {
+            messages.push({ ...base, channel: 'email', to: user.email, subject: notification.title, body: notification.message });
+        }
+        if (preferences.sms && user.phone) {
+            messages.push({ ...base, channel: 'sms', to: user.phone, body: `${notification.title}: ${notification.message}` });
+        }
+    }
+
+    if (!messages.length) return 0;
+    await OutboundMessage.insertMany(messages);
+    processOutbox().catch((err) => console.error('Outbox error:', err.message));
+    return messages.length;
+};
+
+// Transactional mail (verification, password reset, invites) ignores preferences and quiet hours.
+// user only needs an email; invitees have no _id yet.
+const sendEmail = async (user, subject, body) => {
+    await OutboundMessage.create({ recipient: user._id || null, channel: 'email', to: user.email, subject, body });
+    processOutbox().catch((err) => console.error('Outbox error:', err.message));
+};
+
+module.exports = { registerTransport, queueOutbound, sendEmail, processOutbox, deliver, quietHoursEnd };
@@ -0,0 +1,64 @@
+// Text a spreadsheet would run as a formula; numbers and dates are left alone
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(escapeCell).join(',') + '\n';
+
+// RFC 4180 style: quoted fields, doubled quotes, CRLF or LF line endings
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+};
+
+// Undoes escapeCell's quote, so exported files import back unchanged
+const unescapeCell = (text) => (text[0] === "'" && FORMULA_PATTERN.test(text.slice(1)) ? text.slice(1) : text);
+
+// First line is the header; values are trimmed strings
+const parseCsvObjects = (text) => {
+    const [header = [], ...rows] = parseCsv(text);
+    const keys = header.map((key) => key.trim());
+    return rows.map((row) => Object.fromEntries(keys.map((key, i) => [key, unescapeCell(row[i] ?? '').trim()])));
+};
+
+module.exports = { toCsvLine, parseCsv, parseCsvObjects };
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Application errors carry an HTTP status, a stable machine-readable code and optional
+// details that are returned as `data`. Throw them from handlers; errorHandler replies.
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message = 'Bad request', options = {}) {
+        super(message, { status: 400, code: 'BAD_REQUEST', ...options });
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Not authorized', options = {}) {
+        super(message, { status: 401, code: 'UNAUTHORIZED', ...options });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'Forbidden: You do not have permission', options = {}) {
+        super(message, { status: 403, code: 'FORBIDDEN', ...options });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Not found', options = {}) {
+        super(message, { status: 404, code: 'NOT_FOUND', ...options });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = 'Conflict', options = {}) {
+        super(message, { status: 409, code: 'CONFLICT', ...options });
+    }
+}
+
+// 422 by default; the validation middleware uses 400 for missing or wrongly typed input
+class ValidationError extends AppError {
+    constructor(message = 'Validation failed', options = {}) {
+        super(message, { status: 422, code: 'VALIDATION_FAILED', ...options });
+    }
+}
+
+// retryAfter (seconds) becomes the Retry-After header
+class TooManyRequestsError extends AppError {
+    constructor(message = 'Too many requests', { retryAfter = null, ...options } = {}) {
+        super(message, { status: 429, code: 'TOO_MANY_REQUESTS', ...options });
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Codes for errors raised outside the application, e.g. by body-parser
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    422: 'VALIDATION_FAILED',
+    429: 'TOO_MANY_REQUESTS',
+};
+
+// Express 5 forwards rejected promises on its own; the wrapper keeps handlers explicit about it
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Turns anything thrown into an AppError; driver and library messages are not passed through
+const toAppError = (err) => {
+    if (err instanceof AppError) return err;
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        return new ValidationError('Validation failed', {
+            details: {
+                errors: Object.values(err.errors).map((error) => ({ location: 'body', field: error.path, message: error.message })),
+            },
+        });
+    }
+    if (err instanceof mongoose.Error.CastError) {
+        return new BadRequestError(`Invalid ${err.path}`, { code: err.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE' });
+    }
+    if (err.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {});
+        return new ConflictError(fields.length ? `${fields.join(', ')} already exists` : 'Duplicate record', {
+            code: 'DUPLICATE_KEY',
+            details: { fields },
+        });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return new BadRequestError('Request body is not valid JSON', { code: 'INVALID_JSON' });
+    }
+    if (err.status >= 400 && err.status < 500) {
+        return new AppError(err.expose === false ? 'Bad request' : err.message, {
+            status: err.status,
+            code: STATUS_CODES[err.status] || 'BAD_REQUEST',
+        });
+    }
+    return new AppError('Something went wrong');
+};
+
+// Registered last in app.js; Express recognises error handlers by their four arguments
+const errorHandler = (err, req, res, next) => {
+    const error = toAppError(err);
+    if (error.status >= 500) console.error(err.stack || err);
+    if (res.headersSent) return res.destroy(err);
+
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status).json({ success: false, message: error.message, code: error.code, data: error.details });
+};
+
+module.exports = {
+    AppError, BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, ValidationError,
+    TooManyRequestsError, asyncHandler, errorHandler,
+};
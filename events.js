@@ -0,0 +1,81 @@
+// In-process Server-Sent Events hub. Recent events are buffered so a client reconnecting
+// with Last-Event-ID can catch up; anything older than the buffer gets a 'resync' event.
+const BUFFER_SIZE = parseInt(process.env.SSE_BUFFER_SIZE) || 500;
+const HEARTBEAT_MS = 25 * 1000;
+
+const clients = new Set();
+const buffer = [];
+let lastId = 0;
+// ids below this were never buffered or have been dropped
+let floorId = Date.now();
+
+// Millisecond based ids keep increasing across restarts
+const nextId = () => {
+    lastId = Math.max(Date.now(), lastId + 1);
+    return lastId;
+};
+
+// audience: { users: [ids], roles: ['admin'], banks: [ids], role, region } - the role + region
+// pair mirrors how notifications are scoped, banks reaches the staff assigned to them
+const isEntitled = (user, audience) => {
+    if (audience.users?.some((id) => String(id) === String(user.id))) return true;
+    if (user.role === 'staff' && audience.banks?.some((id) => String(id) === String(user.bank_id))) return true;
+    if (audience.roles?.includes(user.role)) return true;
+    return Boolean(audience.role && audience.role === user.role && audience.region === user.region);
+};
+
+const writeEvent = (res, event) => {
+    const id = event.id ? `id: ${event.id}\n` : '';
+    res.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+const publish = (type, data, audience) => {
+    const event = { id: nextId(), type, data, audience };
+
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) floorId = buffer.shift().id;
+
+    for (const client of clients) {
+        if (isEntitled(client.user, audience)) writeEvent(client.res, event);
+    }
+};
+
+// user: { id, role, region, bank_id }
+const subscribe = (req, res, user) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId);
+    if (lastEventId) {
+        if (lastEventId < floorId) {
+            writeEvent(res, { type: 'resync', data: { reason: 'Missed events are no longer buffered' } });
+        }
+        buffer
+            .filter((event) => event.id > lastEventId && isEntitled(user, event.audience))
+            .forEach((event) => writeEvent(res, event));
+    }
+
+    const client = { res, user };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+    });
+};
+
+// Streams keep the role, region and bank they connected with, so they are closed whenever those
+// change or the user's sessions end; the client reconnects with a fresh token or not at all
+const disconnectUser = (userId) => {
+    for (const client of clients) {
+        if (String(client.user.id) === String(userId)) client.res.end();
+    }
+};
+
+module.exports = { publish, subscribe, disconnectUser };
@@ -0,0 +1,123 @@
+const { User, Donor, BloodInventory, Request, BloodBank, BloodUnit } = require('./models');
+const { BLOOD_TYPES, escapeRegex } = require('./utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Cancelled and expired requests never turned into real need
+const DEMAND_STATUSES = ['Pending', 'Approved', 'Fulfilled'];
+
+// Daily totals keyed by blood type then YYYY-MM-DD (UTC), for days in [since, until)
+const demandByDay = async (since, until, region) => {
+    const match = { createdAt: { $gte: since, $lt: until }, status: { $in: DEMAND_STATUSES } };
+    if (region) match.region = region;
+
+    return Request.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    blood_type: '$blood_group',
+                    day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                },
+                units: { $sum: { $ifNull: ['$units', 1] } },
+            },
+        },
+    ]);
+};
+
+const supplyByDay = async (since, until, region) => {
+    return Donor.aggregate([
+        { $unwind: '$donation_log' },
+        { $match: { 'donation_log.date': { $gte: since, $lt: until } } },
+        { $lookup: { from: User.collection.name, localField: 'user_id', foreignField: '_id', as: 'user' } },
+        { $unwind: '$user' },
+        ...(region ? [{ $match: { 'user.region': region } }] : []),
+        {
+            $group: {
+                _id: {
+                    blood_type: '$user.blood_type',
+                    day: { $dateToString: { format: '%Y-%m-%d', date: '$donation_log.date' } },
+                },
+                units: { $sum: { $ifNull: ['$donation_log.units', 1] } },
+            },
+        },
+    ]);
+};
+
+// Zero-filled series of `days` values per blood type, oldest first
+const toSeries = (rows, since, days) => {
+    const index = {};
+    rows.forEach((row) => {
+        index[`${row._id.blood_type}|${row._id.day}`] = row.units;
+    });
+
+    const series = {};
+    BLOOD_TYPES.forEach((type) => {
+        series[type] = Array.from({ length: days }, (_, i) => index[`${type}|${dayKey(new Date(since.getTime() + i * DAY_MS))}`] || 0);
+    });
+    return series;
+};
+
+// Simple exponential smoothing; the final level is the forecast daily rate
+const smooth = (values, alpha) => {
+    if (!values.length) return 0;
+    return values.reduce((level, value) => alpha * value + (1 - alpha) * level, values[0]);
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Available units per blood type. For a region only the banks located there count, matched on
+// their location text the same way /inventory/search does.
+const availableByType = async (region) => {
+    if (!region) {
+        const inventory = await BloodInventory.find();
+        return Object.fromEntries(inventory.map((i) => [i.blood_type, i.available_units]));
+    }
+
+    const banks = await BloodBank.find({ location: new RegExp(escapeRegex(region), 'i') }).distinct('_id');
+    const rows = await BloodUnit.aggregate([
+        { $match: { status: 'available', bank_id: { $in: banks }, expiry_date: { $gt: new Date() } } },
+        { $group: { _id: '$blood_type', units: { $sum: 1 } } },
+    ]);
+    return Object.fromEntries(rows.map((row) => [row._id, row.units]));
+};
+
+// Projects demand (from requests) and supply (from donations) per blood type over the next
+// `horizon` days, with how long current stock lasts at the projected net consumption.
+// History covers the `historyDays` full days before today; today's partial day is left out.
+const forecastDemand = async ({ horizon = 30, historyDays = 90, alpha = 0.3, region = null } = {}) => {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    const since = new Date(today.getTime() - historyDays * DAY_MS);
+
+    const [demandRows, supplyRows, available] = await Promise.all([
+        demandByDay(since, today, region),
+        supplyByDay(since, today, region),
+        availableByType(region),
+    ]);
+    const demand = toSeries(demandRows, since, historyDays);
+    const supply = toSeries(supplyRows, since, historyDays);
+
+    return BLOOD_TYPES.map((type) => {
+        const dailyDemand = smooth(demand[type], alpha);
+        const dailySupply = smooth(supply[type], alpha);
+        const availableUnits = available[type] || 0;
+        const netDaily = dailyDemand - dailySupply;
+
+        return {
+            blood_type: type,
+            daily_demand: round(dailyDemand),
+            daily_supply: round(dailySupply),
+            projected_demand: round(dailyDemand * horizon),
+            projected_supply: round(dailySupply * horizon),
+            available_units: availableUnits,
+            // null when supply keeps up with demand
+            days_of_stock: netDaily > 0 ? round(availableUnits / netDaily) : null,
+            history: { demand_units: demand[type].reduce((a, b) => a + b, 0), supply_units: supply[type].reduce((a, b) => a + b, 0) },
+        };
+    });
+};
+
+module.exports = { forecastDemand };
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { BloodInventory, BloodBank, BloodUnit, StockAdjustment } = require('./models');
+const { createNotification } = require('./notifications');
+const { ConflictError, NotFoundError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Defaults used when a BloodInventory document has no thresholds of its own
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 10;
+const HIGH_STOCK_THRESHOLD = parseInt(process.env.HIGH_STOCK_THRESHOLD) || 50;
+const LOW_STOCK_ALERT_COOLDOWN_HOURS = parseInt(process.env.LOW_STOCK_ALERT_COOLDOWN_HOURS) || 24;
+
+// Shelf life in days per component
+const SHELF_LIFE_DAYS = {
+    whole_blood: 35,
+    red_cells: 42,
+    plasma: 365,
+    platelets: 5,
+};
+
+const generateLotNumber = () => {
+    return `LOT-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+const stockStatus = (inventory) => {
+    const low = inventory.low_threshold ?? LOW_STOCK_THRESHOLD;
+    const high = inventory.high_threshold ?? HIGH_STOCK_THRESHOLD;
+    if (inventory.available_units <= low) return 'Low';
+    if (inventory.available_units >= high) return 'High';
+    return 'Medium';
+};
+
+const alertLowStock = async (inventory) => {
+    const cooldownMs = LOW_STOCK_ALERT_COOLDOWN_HOURS * 60 * 60 * 1000;
+    if (inventory.last_low_alert_at && Date.now() - inventory.last_low_alert_at.getTime() < cooldownMs) return;
+
+    await createNotification({
+        title: 'Low Stock Alert',
+        type: 'inventory',
+        message: `${inventory.blood_type} stock is running low (${inventory.available_units} units left). Please donate if you are eligible.`,
+        role: 'donor',
+        blood_type: inventory.blood_type,
+        data: { blood_type: inventory.blood_type },
+    });
+    inventory.last_low_alert_at = new Date();
+};
+
+// Recompute status and alert donors when the blood type has just dropped to Low
+const updateStockStatus = async (inventory) => {
+    const previousStatus = inventory.status;
+    inventory.status = stockStatus(inventory);
+    if (inventory.status === 'Low' && previousStatus !== 'Low') {
+        await alertLowStock(inventory);
+    }
+    return inventory.save();
+};
+
+// Recompute BloodInventory and BloodBank.available_units for one blood type from the units collection
+const refreshInventory = async (bloodType) => {
+    const perBank = await BloodUnit.aggregate([
+        { $match: { blood_type: bloodType, status: 'available' } },
+        { $group: { _id: '$bank_id', count: { $sum: 1 } } },
+    ]);
+    const total = perBank.reduce((sum, entry) => sum + entry.count, 0);
+
+    await BloodBank.updateMany({}, { $set: { [`available_units.${bloodType}`]: 0 } });
+    await Promise.all(
+        perBank
+            .filter((entry) => entry._id)
+            .map((entry) =>
+                BloodBank.updateOne({ _id: entry._id }, { $set: { [`available_units.${bloodType}`]: entry.count } })
+            )
+    );
+
+    const inventory = await BloodInventory.findOneAndUpdate(
+        { blood_type: bloodType },
+        { available_units: total },
+        { new: true, upsert: true }
+    );
+    return updateStockStatus(inventory);
+};
+
+// Writes the units of one new lot; callers refresh the inventory once their transaction commits
+const insertUnits = async (
+    { blood_type, component = 'whole_blood', bank_id = null, donor_id = null, count = 1, collection_date = new Date() },
+    session = null
+) => {
+    const lot_number = generateLotNumber();
+    const expiry_date = new Date(collection_date.getTime() + SHELF_LIFE_DAYS[component] * DAY_MS);
+
+    const units = await BloodUnit.insertMany(
+        Array.from({ length: count }, () => ({
+            lot_number, blood_type, component, collection_date, expiry_date, bank_id, donor_id,
+        })),
+        { session }
+    );
+    return { lot_number, expiry_date, units };
+};
+
+const addUnits = async (lot) => {
+    const result = await insertUnits(lot);
+    const inventory = await refreshInventory(lot.blood_type);
+    return { ...result, inventory };
+};
+
+// Bring the available count of a blood type at a bank (null = central stock) to `target`,
+// adding fresh units or discarding the ones closest to expiry. Does not refresh the inventory.
+const setUnitCount = async (bloodType, bankId, target, session = null) => {
+    const filter = { blood_type: bloodType, bank_id: bankId || null, status: 'available' };
+    const current = await BloodUnit.countDocuments(filter).session(session);
+
+    if (target > current) {
+        await insertUnits({ blood_type: bloodType, bank_id: bankId || null, count: target - current }, session);
+    } else if (target < current) {
+        const surplus = await BloodUnit.find(filter)
+            .sort({ expiry_date: 1 })
+            .limit(current - target)
+            .select('_id')
+            .session(session);
+        await BloodUnit.updateMany({ _id: { $in: surplus.map((u) => u._id) } }, { status: 'discarded' }, { session });
+    }
+};
+
+const setAvailableUnits = async (bloodType, bankId, target) => {
+    await setUnitCount(bloodType, bankId, target);
+    return refreshInventory(bloodType);
+};
+
+// Stock used to be plain counters on BloodInventory (totals) and BloodBank.available_units.
+// The first start with an empty units collection turns them into one whole-blood lot per bank and
+// blood type; whatever a total holds beyond its banks becomes central stock. Collection dates are
+// unknown, so the lots get a full shelf life from today.
+const migrateLegacyStock = async () => {
+    if (await BloodUnit.exists({})) return 0;
+
+    // read every counter before inserting, refreshInventory overwrites them
+    const banks = await BloodBank.find().select('available_units').lean();
+    const totals = await BloodInventory.find().select('blood_type available_units').lean();
+
+    const lots = [];
+    const inBanks = {};
+    banks.forEach((bank) => {
+        Object.entries(bank.available_units || {}).forEach(([bloodType, count]) => {
+            if (!(count > 0)) return;
+            lots.push({ blood_type: bloodType, bank_id: bank._id, count });
+            inBanks[bloodType] = (inBanks[bloodType] || 0) + count;
+        });
+    });
+    totals.forEach(({ blood_type, available_units }) => {
+        const central = (available_units || 0) - (inBanks[blood_type] || 0);
+        if (central > 0) lots.push({ blood_type, bank_id: null, count: central });
+    });
+    if (!lots.length) return 0;
+
+    const collection_date = new Date();
+    const expiry_date = new Date(collection_date.getTime() + SHELF_LIFE_DAYS.whole_blood * DAY_MS);
+    const units = lots.flatMap(({ blood_type, bank_id, count }) => {
+        const lot_number = generateLotNumber();
+        return Array.from({ length: count }, () => ({
+            lot_number, blood_type, bank_id, collection_date, expiry_date,
+        }));
+    });
+    await BloodUnit.insertMany(units);
+
+    const bloodTypes = [...new Set(lots.map((lot) => lot.blood_type))];
+    for (const bloodType of bloodTypes) await refreshInventory(bloodType);
+    console.log(`Migrated ${units.length} legacy stock units into ${lots.length} lots`);
+    return units.length;
+};
+
+// Reserved units expire too; the request gets replacements when it is fulfilled
+const expireUnits = async () => {
+    const filter = { status: { $in: ['available', 'reserved'] }, expiry_date: { $lte: new Date() } };
+    const bloodTypes = await BloodUnit.distinct('blood_type', filter);
+    if (!bloodTypes.length) return 0;
+
+    const result = await BloodUnit.updateMany(filter, { status: 'expired' });
+    await Promise.all(bloodTypes.map(refreshInventory));
+    return result.modifiedCount;
+};
+
+// Deactivated banks keep their stock but cannot be picked for anything new
+const assertActiveBank = async (bankId) => {
+    const bank = await BloodBank.findById(bankId).select('active');
+    if (!bank) throw new NotFoundError('Blood bank not found');
+    if (!bank.active) throw new ConflictError('Blood bank is deactivated', { code: 'BANK_INACTIVE' });
+};
+
+// Transactions need a replica set or sharded cluster; a standalone mongod rejects them
+const assertTransactionSupport = async () => {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+        throw new Error('MongoDB must run as a replica set (a single-node one is enough) for stock transactions');
+    }
+};
+
+const withTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+// Why staff move stock in or out of their bank. Removed units end up in the mapped unit status.
+const STOCK_IN_REASONS = ['collected', 'received', 'returned', 'correction'];
+const STOCK_OUT_REASONS = {
+    used: 'used',
+    expired: 'expired',
+    damaged: 'discarded',
+    correction: 'discarded',
+};
+
+// A positive change adds a fresh lot, a negative one takes the units closest to expiry out of
+// stock. Every adjustment is logged with the bank's available count for that blood type afterwards.
+const adjustStock = async ({ bankId, bloodType, change, reason, component = null, note = '', actorId = null }) => {
+    let lotNumber = null;
+
+    if (change > 0) {
+        ({ lot_number: lotNumber } = await addUnits({
+            blood_type: bloodType, component: component || 'whole_blood', bank_id: bankId, count: change,
+        }));
+    } else {
+        // expired units are left to expireUnits rather than recorded as used or damaged
+        const filter = { blood_type: bloodType, bank_id: bankId, status: 'available', expiry_date: { $gt: new Date() } };
+        if (component) filter.component = component;
+        const status = STOCK_OUT_REASONS[reason];
+
+        await withTransaction(async (session) => {
+            const units = await BloodUnit.find(filter).sort({ expiry_date: 1 }).limit(-change).select('_id').session(session);
+            if (units.length < -change) {
+                throw new ConflictError(
+                    `Insufficient ${bloodType} stock: ${-change} units to remove, ${units.length} available`,
+                    { code: 'INSUFFICIENT_STOCK', details: { needed: -change, available: units.length } }
+                );
+            }
+            await BloodUnit.updateMany(
+                { _id: { $in: units.map((u) => u._id) }, status: 'available' },
+                { status, ...(status === 'used' && { used_at: new Date() }) },
+                { session }
+            );
+        });
+        await refreshInventory(bloodType);
+    }
+
+    const unitsAfter = await BloodUnit.countDocuments({
+        blood_type: bloodType, bank_id: bankId, status: 'available', expiry_date: { $gt: new Date() },
+    });
+    return StockAdjustment.create({
+        bank_id: bankId,
+        blood_type: bloodType,
+        component,
+        change,
+        reason,
+        note,
+        lot_number: lotNumber,
+        units_after: unitsAfter,
+        actor: actorId,
+    });
+};
+
+// Reserve whatever the request is still missing, soonest-expiring units first
+const holdUnits = async (request, session) => {
+    const held = await BloodUnit.countDocuments({ request_id: request._id, status: 'reserved' }).session(session);
+    const needed = request.units - held;
+    if (needed <= 0) return;
+
+    const filter = { blood_type: request.blood_group, status: 'available', expiry_date: { $gt: new Date() } };
+    if (request.bank_id) {
+        filter.bank_id = request.bank_id;
+    } else {
+        // any active bank or the central stock, deactivated banks are not drawn on
+        const activeBanks = await BloodBank.distinct('_id', { active: { $ne: false } }).session(session);
+        filter.bank_id = { $in: [...activeBanks, null] };
+    }
+
+    const units = await BloodUnit.find(filter).sort({ expiry_date: 1 }).limit(needed).select('_id').session(session);
+    if (units.length < needed) {
+        throw new ConflictError(
+            `Insufficient ${request.blood_group} stock${request.bank_id ? ' at the selected bank' : ''}: ` +
+            `${needed} units needed, ${units.length} available`,
+            { code: 'INSUFFICIENT_STOCK', details: { needed, available: units.length } }
+        );
+    }
+
+    await BloodUnit.updateMany(
+        { _id: { $in: units.map((u) => u._id) }, status: 'available' },
+        { status: 'reserved', request_id: request._id, reserved_at: new Date() },
+        { session }
+    );
+};
+
+// The request helpers below run inside the transaction that claims the request's new status,
+// see transitionRequest in lifecycle.js; the caller refreshes the inventory once it commits.
+const reserveForRequest = (request, session) => holdUnits(request, session);
+
+// Reserved units that expired since approval are written off and replaced before use
+const fulfilRequest = async (request, session) => {
+    await BloodUnit.updateMany(
+        { request_id: request._id, status: 'reserved', expiry_date: { $lte: new Date() } },
+        { status: 'expired' },
+        { session }
+    );
+    await holdUnits(request, session);
+    await BloodUnit.updateMany(
+        { request_id: request._id, status: 'reserved' },
+        { status: 'used', used_at: new Date() },
+        { session }
+    );
+};
+
+const releaseReservation = async (request, session) => {
+    await BloodUnit.updateMany(
+        { request_id: request._id, status: 'reserved' },
+        { status: 'available', request_id: null, reserved_at: null },
+        { session }
+    );
+};
+
+module.exports = {
+    SHELF_LIFE_DAYS, LOW_STOCK_THRESHOLD, HIGH_STOCK_THRESHOLD, STOCK_IN_REASONS, STOCK_OUT_REASONS,
+    updateStockStatus, refreshInventory, addUnits, setUnitCount, setAvailableUnits, adjustStock, expireUnits, migrateLegacyStock,
+    assertActiveBank, assertTransactionSupport, withTransaction, reserveForRequest, fulfilRequest, releaseReservation,
+};
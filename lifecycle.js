@@ -0,0 +1,126 @@
+const { Request } = require('./models');
+const { withTransaction, refreshInventory, reserveForRequest, fulfilRequest, releaseReservation } = require('./inventory');
+const { publish } = require('./events');
+const { BadRequestError, ConflictError, ForbiddenError } = require('./errors');
+const { sameId, hasPermission, managesRequest } = require('./permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Open requests older than this are expired automatically
+const REQUEST_EXPIRY_DAYS = parseInt(process.env.REQUEST_EXPIRY_DAYS) || 14;
+
+const REQUEST_STATUSES = ['Pending', 'Approved', 'Fulfilled', 'Cancelled', 'Expired'];
+
+// from -> to -> the permission needed for that move. The actor must also be the requester,
+// staff of the request's bank or an admin, see managesRequest in permissions.js.
+const REQUEST_TRANSITIONS = {
+    Pending: {
+        Approved: 'request:approve',
+        Cancelled: 'request:cancel',
+        Expired: 'request:expire',
+    },
+    Approved: {
+        Pending: 'request:reopen',
+        Fulfilled: 'request:fulfil',
+        Cancelled: 'request:cancel',
+        Expired: 'request:expire',
+    },
+    Fulfilled: {},
+    Cancelled: {},
+    Expired: {},
+};
+
+const canTransition = (request, to, actor) => {
+    const permission = REQUEST_TRANSITIONS[request.status]?.[to];
+    if (!permission) return false;
+    if (!actor) return true; // system transitions
+    // requesters may always withdraw their own request, whatever their role is now
+    if (to === 'Cancelled' && sameId(request.requester_id, actor.id)) return true;
+    return hasPermission(actor, permission) && managesRequest(actor, request);
+};
+
+// Statuses the actor may move this request to, for clients to build their controls
+const allowedTransitions = (request, actor) => {
+    return Object.keys(REQUEST_TRANSITIONS[request.status] || {}).filter((to) => canTransition(request, to, actor));
+};
+
+// Moves the status from `from` to `update.$set.status` only if nobody changed it in between
+const claimStatus = async (request, from, update, session) => {
+    const claimed = await Request.findOneAndUpdate({ _id: request._id, status: from }, update, { new: true, session });
+    if (!claimed) {
+        throw new ConflictError('The request was changed in the meantime, reload it and try again', {
+            code: 'REQUEST_CONFLICT',
+        });
+    }
+    return claimed;
+};
+
+// actor is req.user, or null for transitions made by the system. `fields` are set along with
+// the status. Approval reserves stock, fulfilment deducts it, every other move releases the
+// reservation, all in the transaction that claims the status. Returns the updated request.
+const transitionRequest = async (request, to, actor = null, note = '', fields = {}) => {
+    if (!REQUEST_STATUSES.includes(to)) {
+        throw new BadRequestError(`Invalid status. Valid options: ${REQUEST_STATUSES.join(', ')}`);
+    }
+    if (!REQUEST_TRANSITIONS[request.status]?.[to]) {
+        throw new ConflictError(`Cannot move a ${request.status} request to ${to}`, { code: 'INVALID_TRANSITION' });
+    }
+    if (!canTransition(request, to, actor)) {
+        throw new ForbiddenError(`You are not allowed to move this request to ${to}`);
+    }
+
+    const from = request.status;
+    const now = new Date();
+    const update = {
+        $set: {
+            ...fields,
+            status: to,
+            ...(to === 'Fulfilled' && { fulfilled_at: now }),
+        },
+        $push: { history: { from, to, actor: actor ? actor.id : null, timestamp: now, note } },
+    };
+
+    let updated;
+    await withTransaction(async (session) => {
+        updated = await claimStatus(request, from, update, session);
+        if (to === 'Approved') await reserveForRequest(updated, session);
+        else if (to === 'Fulfilled') await fulfilRequest(updated, session);
+        else await releaseReservation(updated, session);
+    });
+    await refreshInventory(updated.blood_group);
+
+    // requester and admins always hear about it, donors only within the request's region
+    publish(
+        'request.status',
+        { request_id: updated._id, from, to, blood_group: updated.blood_group, region: updated.region, is_critical: updated.is_critical },
+        { users: [updated.requester_id], roles: ['admin'], role: 'donor', region: updated.region }
+    );
+
+    return updated;
+};
+
+const expireStaleRequests = async () => {
+    const cutoff = new Date(Date.now() - REQUEST_EXPIRY_DAYS * DAY_MS);
+    const stale = await Request.find({ status: { $in: ['Pending', 'Approved'] }, createdAt: { $lte: cutoff } });
+
+    for (const request of stale) {
+        await transitionRequest(request, 'Expired', null, `Not fulfilled within ${REQUEST_EXPIRY_DAYS} days`);
+    }
+    return stale.length;
+};
+
+// 'Critical' used to be a status; it is now the is_critical flag on a Pending request
+const migrateCriticalStatus = async () => {
+    const result = await Request.updateMany(
+        { status: 'Critical' },
+        { $set: { status: 'Pending', is_critical: true } }
+    );
+    if (result.modifiedCount) {
+        console.log(`Migrated ${result.modifiedCount} Critical requests to the urgency flag`);
+    }
+};
+
+module.exports = {
+    REQUEST_STATUSES, REQUEST_TRANSITIONS, allowedTransitions,
+    transitionRequest, expireStaleRequests, migrateCriticalStatus,
+};
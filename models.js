@@ -2,15 +2,35 @@ const mongoose = require('mongoose');
 
 // Iss file ko prettier yaa beautify se format mt kerna
 
+// GeoJSON point, coordinates are [longitude, latitude]
+const PointSchema = new mongoose.Schema({
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true },
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
     full_name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     phone: { type: String, required: true },
     password_hash: { type: String, required: true },
-    role: { type: String, enum: ['user', 'donor', 'admin'], default: 'user' },
+    role: { type: String, enum: ['user', 'donor', 'admin', 'staff'], default: 'user' },
     blood_type: { type: String, enum: ['A+', 'A-', 'B+', 'B-', 'O+', 'O-', 'AB+', 'AB-'], required: true },
-    region: { type: String, enum: ['North', 'East', 'West', 'South'], required: function() { return this.role !== 'admin'; } },
+    region: { type: String, enum: ['North', 'East', 'West', 'South'], required: function() { return ['user', 'donor'].includes(this.role); } },
+    bank_id: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodBank', default: null }, // staff only
+    geo_location: { type: PointSchema, default: undefined },
+    token_version: { type: Number, default: 0 }, // bumped to invalidate every issued access token
+    email_verified: { type: Boolean, default: false },
+    notification_preferences: {
+        email: { type: Boolean, default: true },
+        sms: { type: Boolean, default: false },
+        // "HH:MM" in server time; non-urgent messages wait until quiet hours end
+        quiet_hours: {
+            start: { type: String, default: null },
+            end: { type: String, default: null },
+        },
+    },
 });
+UserSchema.index({ geo_location: '2dsphere' });
 
 
 const DonorSchema = new mongoose.Schema({
@@ -24,6 +44,20 @@ const DonorSchema = new mongoose.Schema({
       date: { type: Date, required: true },
       units: { type: Number, default: 1 },
       notes: { type: String },
+      bank_id: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodBank', default: null },
+      lot_number: { type: String },
+      request_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Request', default: null }, // pledge this donation fulfilled
+    },
+  ],
+
+  deferrals: [
+    {
+      type: { type: String, enum: ['temporary', 'permanent'], required: true },
+      reason: { type: String, required: true },
+      start_date: { type: Date, default: Date.now },
+      expires_at: { type: Date, default: null }, // null only for permanent deferrals
+      created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      lifted_at: { type: Date, default: null },
     },
   ],
 });
@@ -33,6 +67,9 @@ const BloodInventorySchema = new mongoose.Schema({
     blood_type: { type: String, enum: ['A+', 'A-', 'B+', 'B-', 'O+', 'O-', 'AB+', 'AB-'], required: true, unique: true },
     available_units: { type: Number, default: 0 },
     status: { type: String, enum: ['High', 'Medium', 'Low'], default: 'Medium' },
+    low_threshold: { type: Number, default: null }, // null = LOW_STOCK_THRESHOLD
+    high_threshold: { type: Number, default: null }, // null = HIGH_STOCK_THRESHOLD
+    last_low_alert_at: { type: Date, default: null },
 });
 
 const RequestSchema = new mongoose.Schema(
@@ -41,39 +78,253 @@ const RequestSchema = new mongoose.Schema(
     blood_group: { type: String, enum: ['A+', 'A-', 'B+', 'B-', 'O+', 'O-', 'AB+', 'AB-'], required: true },
     region: { type: String, required: true },
     hospital: { type: String },
+    geo_location: { type: PointSchema, default: undefined }, // hospital coordinates
     notes: { type: String },
-    status: { type: String, enum: ['Pending', 'Approved', 'Fulfilled', 'Critical'], default: 'Pending' },
+    units: { type: Number, default: 1, min: 1 },
+    bank_id: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodBank', default: null }, // null = any bank
+    status: { type: String, enum: ['Pending', 'Approved', 'Fulfilled', 'Cancelled', 'Expired'], default: 'Pending' },
+    is_critical: { type: Boolean, default: false },
+    fulfilled_at: { type: Date, default: null },
     approved_by: {
       name: { type: String },
       phone: { type: String },
     },
+    responses: [
+      {
+        user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        donor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', required: true },
+        status: { type: String, enum: ['accepted', 'declined'], required: true },
+        note: { type: String },
+        responded_at: { type: Date, default: Date.now },
+        donation_id: { type: mongoose.Schema.Types.ObjectId, default: null }, // Donor.donation_log entry
+        donated_at: { type: Date, default: null },
+      },
+    ],
+    history: [
+      {
+        from: { type: String, default: null },
+        to: { type: String, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null = system
+        timestamp: { type: Date, default: Date.now },
+        note: { type: String },
+      },
+    ],
   },
   { timestamps: true }
 );
 
 
+// role/region/blood_type describe the audience; who actually received it lives in NotificationDelivery
 const NotificationSchema = new mongoose.Schema({
   title: { type: String, required: true },
   message: { type: String, required: true },
+  type: { type: String, enum: ['request', 'inventory', 'system'], default: 'system' },
   role: { type: String, enum: ['user', 'donor', 'admin', 'all'], default: 'all', required: true },
   region: { type: String, enum: ['North', 'East', 'West', 'South'], default: null }, // optional region
+  blood_type: { type: String, enum: ['A+', 'A-', 'B+', 'B-', 'O+', 'O-', 'AB+', 'AB-'], default: null }, // optional blood type
+  data: { type: mongoose.Schema.Types.Mixed, default: null }, // e.g. { request_id }
+  createdAt: { type: Date, default: Date.now },
+});
+
+
+const NotificationDeliverySchema = new mongoose.Schema({
+  notification_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification', required: true },
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['request', 'inventory', 'system'], default: 'system' }, // copied for filtering
   isRead: { type: Boolean, default: false },
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+NotificationDeliverySchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+NotificationDeliverySchema.index({ notification_id: 1, recipient: 1 }, { unique: true });
+
+
+// Email/SMS copy of a notification waiting in the retry queue, see channels.js
+const OutboundMessageSchema = new mongoose.Schema(
+  {
+    notification_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification', default: null },
+    recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for invitees
+    channel: { type: String, enum: ['email', 'sms'], required: true },
+    to: { type: String, required: true },
+    subject: { type: String },
+    body: { type: String, required: true },
+    status: { type: String, enum: ['queued', 'sending', 'sent', 'failed'], default: 'queued' },
+    attempts: { type: Number, default: 0 },
+    next_attempt_at: { type: Date, default: Date.now },
+    last_error: { type: String, default: null },
+    sent_at: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+OutboundMessageSchema.index({ status: 1, next_attempt_at: 1 });
+
+
+// Only a hash of the refresh token is stored; replaced_by links a token to the one it was rotated into
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    token_hash: { type: String, required: true, unique: true },
+    expires_at: { type: Date, required: true },
+    revoked_at: { type: Date, default: null },
+    replaced_by: { type: mongoose.Schema.Types.ObjectId, ref: 'RefreshToken', default: null },
+  },
+  { timestamps: true }
+);
+RefreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+
+// Single-use tokens mailed to the user; only the hash is stored
+const AuthTokenSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['password_reset', 'email_verification'], required: true },
+  token_hash: { type: String, required: true, unique: true },
+  expires_at: { type: Date, required: true },
+  used_at: { type: Date, default: null },
+});
+AuthTokenSchema.index({ user_id: 1, purpose: 1 });
+AuthTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+
+// One-time invitation for an elevated account; only the token hash is stored
+const InviteSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true },
+    role: { type: String, enum: ['admin', 'staff'], required: true },
+    bank_id: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodBank', default: null }, // required for staff
+    token_hash: { type: String, required: true, unique: true },
+    invited_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    expires_at: { type: Date, required: true },
+    accepted_at: { type: Date, default: null },
+    accepted_user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    revoked_at: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+
+// Every role change; granted_by is null for changes made by the system (admin seeding)
+const RoleAuditSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  email: { type: String },
+  from_role: { type: String, default: null },
+  to_role: { type: String, required: true },
+  granted_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  via: { type: String, enum: ['seed', 'invite', 'admin_update', 'self_service'], required: true },
+  invite_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Invite', default: null },
   createdAt: { type: Date, default: Date.now },
 });
 
 
+// Failed login counter per IP or per email, see ratelimit.js
+const LoginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // "<scope>:<value>"
+  scope: { type: String, enum: ['ip', 'email'], required: true },
+  value: { type: String, required: true },
+  failures: { type: Number, default: 0 },
+  window_start: { type: Date, default: Date.now },
+  locked_until: { type: Date, default: null },
+  last_failure_at: { type: Date, default: null },
+  expires_at: { type: Date, required: true },
+});
+LoginAttemptSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+
 const BloodBankSchema = new mongoose.Schema({
     name: { type: String, required: true, unique: true },
     location: { type: String, required: true },
+    geo_location: { type: PointSchema, default: undefined },
     contact: { type: String },
-    available_units: { type: Map, of: Number, default: {} },
+    opening_hours: { type: String, default: '' },
+    available_units: { type: Map, of: Number, default: {} }, // derived from BloodUnit, see inventory.js
+    // inactive banks keep their stock but take no new requests, donations or staff
+    active: { type: Boolean, default: true },
+    deactivated_at: { type: Date, default: null },
 });
+BloodBankSchema.index({ geo_location: '2dsphere' });
+
+// One document per physical unit; units collected together share a lot_number
+const BloodUnitSchema = new mongoose.Schema(
+  {
+    lot_number: { type: String, required: true, index: true },
+    blood_type: { type: String, enum: ['A+', 'A-', 'B+', 'B-', 'O+', 'O-', 'AB+', 'AB-'], required: true },
+    component: { type: String, enum: ['whole_blood', 'red_cells', 'plasma', 'platelets'], default: 'whole_blood' },
+    collection_date: { type: Date, required: true },
+    expiry_date: { type: Date, required: true },
+    bank_id: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodBank', default: null }, // null = central stock
+    donor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Donor', default: null },
+    status: { type: String, enum: ['available', 'reserved', 'in_transit', 'used', 'expired', 'discarded'], default: 'available' },
+    request_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Request', default: null }, // set while reserved/used
+    transfer_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Transfer', default: null }, // last transfer that moved the unit
+    reserved_at: { type: Date, default: null },
+    used_at: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+BloodUnitSchema.index({ blood_type: 1, status: 1, bank_id: 1 });
+BloodUnitSchema.index({ request_id: 1, status: 1 });
+
+// Units of one blood type moved from one bank to another. The receiving bank (to_bank) asks,
+// the source bank approves and dispatches, see transfers.js.
+const TransferSchema = new mongoose.Schema(
+  {
+    from_bank: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodBank', required: true },
+    to_bank: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodBank', required: true },
+    blood_type: { type: String, enum: ['A+', 'A-', 'B+', 'B-', 'O+', 'O-', 'AB+', 'AB-'], required: true },
+    component: { type: String, enum: ['whole_blood', 'red_cells', 'plasma', 'platelets'], default: null }, // null = any
+    units: { type: Number, required: true, min: 1 },
+    status: { type: String, enum: ['Requested', 'Approved', 'Rejected', 'Dispatched', 'Received', 'Cancelled'], default: 'Requested' },
+    requested_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    note: { type: String, default: '' },
+    dispatched_at: { type: Date, default: null },
+    received_at: { type: Date, default: null },
+    expired_in_transit: { type: Number, default: 0 }, // units that arrived past their expiry date
+    history: [
+      {
+        from: { type: String, default: null },
+        to: { type: String, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        timestamp: { type: Date, default: Date.now },
+        note: { type: String },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+TransferSchema.index({ from_bank: 1, createdAt: -1 });
+TransferSchema.index({ to_bank: 1, createdAt: -1 });
+
+// Manual stock movement at a bank; change is signed, units_after is the bank's available count afterwards
+const StockAdjustmentSchema = new mongoose.Schema(
+  {
+    bank_id: { type: mongoose.Schema.Types.ObjectId, ref: 'BloodBank', required: true },
+    blood_type: { type: String, enum: ['A+', 'A-', 'B+', 'B-', 'O+', 'O-', 'AB+', 'AB-'], required: true },
+    component: { type: String, enum: ['whole_blood', 'red_cells', 'plasma', 'platelets'], default: null },
+    change: { type: Number, required: true },
+    reason: { type: String, enum: ['collected', 'received', 'returned', 'used', 'expired', 'damaged', 'correction'], required: true },
+    note: { type: String, default: '' },
+    lot_number: { type: String, default: null }, // set when units were added
+    units_after: { type: Number, required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+StockAdjustmentSchema.index({ bank_id: 1, createdAt: -1 });
 
 const User = mongoose.model('User', UserSchema);
 const Donor = mongoose.model('Donor', DonorSchema);
 const BloodInventory = mongoose.model('BloodInventory', BloodInventorySchema);
 const Request = mongoose.model('Request', RequestSchema);
 const Notification = mongoose.model('Notification', NotificationSchema);
+const NotificationDelivery = mongoose.model('NotificationDelivery', NotificationDeliverySchema);
+const OutboundMessage = mongoose.model('OutboundMessage', OutboundMessageSchema);
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+const AuthToken = mongoose.model('AuthToken', AuthTokenSchema);
+const Invite = mongoose.model('Invite', InviteSchema);
+const RoleAudit = mongoose.model('RoleAudit', RoleAuditSchema);
+const LoginAttempt = mongoose.model('LoginAttempt', LoginAttemptSchema);
 const BloodBank = mongoose.model('BloodBank', BloodBankSchema);
+const BloodUnit = mongoose.model('BloodUnit', BloodUnitSchema);
+const StockAdjustment = mongoose.model('StockAdjustment', StockAdjustmentSchema);
+const Transfer = mongoose.model('Transfer', TransferSchema);
 
-module.exports = { User, Donor, BloodInventory, Request, Notification, BloodBank };
\ No newline at end of file
+module.exports = { User, Donor, BloodInventory, Request, Notification, NotificationDelivery, OutboundMessage, RefreshToken, AuthToken, Invite, RoleAudit, LoginAttempt, BloodBank, BloodUnit, StockAdjustment, Transfer };
\ No newline at end of file
@@ -0,0 +1,88 @@
+const { User, Notification, NotificationDelivery } = require('./models');
+const { publish } = require('./events');
+const { queueOutbound } = require('./channels');
+
+const audienceQuery = ({ role = 'all', region = null, blood_type = null }) => {
+    const query = {};
+    if (role !== 'all') query.role = role;
+    if (region) query.region = region;
+    if (blood_type) query.blood_type = blood_type;
+    return query;
+};
+
+// Recipients default to every user matching the notification's role, region and blood type.
+// options.urgent lets email/SMS copies skip the recipients' quiet hours.
+const createNotification = async (payload, recipientIds = null, options = {}) => {
+    const notification = await Notification.create(payload);
+    const recipients = recipientIds || (await User.find(audienceQuery(notification)).distinct('_id'));
+
+    if (recipients.length) {
+        await NotificationDelivery.insertMany(
+            recipients.map((recipient) => ({
+                notification_id: notification._id,
+                recipient,
+                type: notification.type,
+            }))
+        );
+
+        publish(
+            'notification',
+            {
+                notification_id: notification._id,
+                title: notification.title,
+                message: notification.message,
+                type: notification.type,
+                data: notification.data,
+                createdAt: notification.createdAt,
+            },
+            { users: recipients }
+        );
+
+        await queueOutbound(notification, recipients, options);
+    }
+
+    return { notification, recipients: recipients.length };
+};
+
+// Notifications from before per-user deliveries existed still carry the old shared isRead flag
+// and would vanish from every inbox. Their audience as it is today gets a copy, with that flag and
+// date; the flag is then dropped so each notification is migrated once.
+const migrateNotificationDeliveries = async () => {
+    const legacy = await Notification.find({ isRead: { $exists: true } }).lean();
+
+    let created = 0;
+    for (const notification of legacy) {
+        const recipients = await User.find(audienceQuery(notification)).distinct('_id');
+        if (recipients.length) {
+            await NotificationDelivery.insertMany(
+                recipients.map((recipient) => ({
+                    notification_id: notification._id,
+                    recipient,
+                    type: notification.type || 'system',
+                    isRead: Boolean(notification.isRead),
+                    readAt: notification.isRead ? notification.createdAt : null,
+                    createdAt: notification.createdAt,
+                }))
+            );
+            created += recipients.length;
+        }
+        // isRead is no longer in the schema, so go around mongoose's strict mode
+        await Notification.collection.updateOne({ _id: notification._id }, { $unset: { isRead: '' } });
+    }
+    if (created) console.log(`Backfilled ${created} notification deliveries for ${legacy.length} notifications`);
+    return created;
+};
+
+const formatDelivery = (delivery) => ({
+    _id: delivery._id,
+    notification_id: delivery.notification_id?._id,
+    title: delivery.notification_id?.title,
+    message: delivery.notification_id?.message,
+    type: delivery.type,
+    data: delivery.notification_id?.data,
+    isRead: delivery.isRead,
+    readAt: delivery.readAt,
+    createdAt: delivery.createdAt,
+});
+
+module.exports = { createNotification, formatDelivery, migrateNotificationDeliveries };
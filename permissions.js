@@ -0,0 +1,108 @@
+const { Request, BloodBank, NotificationDelivery, Transfer } = require('./models');
+const { ForbiddenError, NotFoundError, asyncHandler } = require('./errors');
+
+// Every action a route can be guarded by
+const PERMISSIONS = [
+    'dashboard:user', 'dashboard:donor', 'dashboard:admin',
+    'request:create', 'request:update', 'request:responses', 'request:respond',
+    'request:approve', 'request:reopen', 'request:fulfil', 'request:cancel', 'request:expire',
+    'donor:search', 'donor:profile', 'donor:manage', 'donation:create',
+    'inventory:read', 'inventory:write', 'inventory:transfer', 'inventory:configure', 'transfer:manage',
+    'bank:read', 'bank:create', 'bank:manage', 'bank:deactivate', 'bank:delete',
+    'forecast:read', 'analytics:read', 'notification:manage', 'user:manage', 'data:transfer',
+];
+
+// Admins hold every permission. What a user or donor may do to a request still depends on
+// owning it, and staff only act on the blood bank they are assigned to (User.bank_id).
+// Approving reserves bank stock, so it is left to staff and admins.
+const ROLE_PERMISSIONS = {
+    user: ['dashboard:user', 'request:create', 'request:update', 'request:responses', 'request:cancel', 'donor:search'],
+    donor: ['dashboard:donor', 'request:respond', 'donor:profile', 'donation:create'],
+    staff: [
+        'request:update', 'request:responses', 'request:approve', 'request:reopen', 'request:fulfil', 'request:cancel',
+        'donor:search', 'inventory:read', 'inventory:write', 'inventory:transfer', 'bank:read', 'bank:manage',
+    ],
+    admin: PERMISSIONS,
+};
+
+const hasPermission = (user, permission) => Boolean(user && ROLE_PERMISSIONS[user.role]?.includes(permission));
+
+const sameId = (a, b) => a != null && b != null && String(a?._id ?? a) === String(b?._id ?? b);
+
+// The requester, staff of the bank it is routed to and admins; only they may change its status
+const managesRequest = (user, request) => user.role === 'admin'
+    || sameId(request.requester_id, user.id)
+    || (user.role === 'staff' && sameId(request.bank_id, user.bank_id));
+
+// Whether the caller owns, or is assigned to, a loaded resource. user is req.user.
+const RESOURCES = {
+    // donors see and respond to the requests of their region
+    request: {
+        label: 'Request',
+        load: (id) => Request.findById(id),
+        owns: (user, request) => managesRequest(user, request)
+            || (user.role === 'donor' && Boolean(user.region) && request.region === user.region),
+    },
+    // a null bank is the central stock, which only admins manage
+    bank: {
+        label: 'Blood bank',
+        load: (id) => BloodBank.findById(id),
+        owns: (user, bank) => user.role === 'staff' && Boolean(bank) && sameId(bank._id, user.bank_id),
+    },
+    // staff of either bank take part in a transfer
+    transfer: {
+        label: 'Transfer',
+        load: (id) => Transfer.findById(id),
+        owns: (user, transfer) => user.role === 'staff'
+            && (sameId(transfer.from_bank, user.bank_id) || sameId(transfer.to_bank, user.bank_id)),
+    },
+    // :id may be the delivery id or the notification id
+    notification: {
+        label: 'Notification',
+        load: (id, req) => NotificationDelivery.findOne({
+            $or: [{ _id: id }, { notification_id: id, recipient: req.user.id }],
+        }),
+        owns: (user, delivery) => sameId(delivery.recipient, user.id),
+    },
+};
+
+const canAccess = (kind, user, resource) => user.role === 'admin' || RESOURCES[kind].owns(user, resource);
+
+const assertPermission = (permission) => {
+    if (!PERMISSIONS.includes(permission)) throw new Error(`Unknown permission: ${permission}`);
+};
+
+// Use after protect
+const authorize = (...permissions) => {
+    permissions.forEach(assertPermission);
+    return (req, res, next) => {
+        if (!permissions.some((permission) => hasPermission(req.user, permission))) {
+            return next(new ForbiddenError('Forbidden: You do not have permission', {
+                code: 'PERMISSION_DENIED',
+                details: { required: permissions },
+            }));
+        }
+        next();
+    };
+};
+
+// Loads the resource named by getId (req.params.id by default) into req.resource and rejects
+// callers who neither own it nor are assigned to it. A null id stands for the central stock
+// when kind is 'bank'; other kinds always need one.
+const loadOwned = (kind, getId = (req) => req.params.id) => asyncHandler(async (req, res, next) => {
+    const { label, load } = RESOURCES[kind];
+    const id = getId(req);
+
+    const resource = id ? await load(id, req) : null;
+    if (!resource && (id || kind !== 'bank')) throw new NotFoundError(`${label} not found`);
+
+    if (!canAccess(kind, req.user, resource)) {
+        throw new ForbiddenError(`You are not assigned to this ${label.toLowerCase()}`, { code: 'NOT_OWNER' });
+    }
+    req.resource = resource;
+    next();
+});
+
+module.exports = {
+    PERMISSIONS, ROLE_PERMISSIONS, sameId, hasPermission, managesRequest, canAccess, authorize, loadOwned,
+};
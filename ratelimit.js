@@ -0,0 +1,78 @@
+const { LoginAttempt } = require('./models');
+
+const MINUTE_MS = 60 * 1000;
+
+// Per IP the caller is throttled, per email the account is locked; both block logins until locked_until
+const POLICIES = {
+    ip: {
+        maxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+        windowMs: (parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15) * MINUTE_MS,
+        lockMs: (parseInt(process.env.LOGIN_IP_LOCK_MINUTES) || 15) * MINUTE_MS,
+    },
+    email: {
+        maxFailures: parseInt(process.env.LOGIN_EMAIL_MAX_FAILURES) || 5,
+        windowMs: (parseInt(process.env.LOGIN_WINDOW_MINUTES) || 15) * MINUTE_MS,
+        lockMs: (parseInt(process.env.LOGIN_LOCK_MINUTES) || 15) * MINUTE_MS,
+    },
+};
+
+const keysFor = ({ ip, email }) => {
+    const keys = [];
+    if (ip) keys.push({ scope: 'ip', value: ip, key: `ip:${ip}` });
+    if (email) keys.push({ scope: 'email', value: String(email).toLowerCase(), key: `email:${String(email).toLowerCase()}` });
+    return keys;
+};
+
+// { allowed: true } or { allowed: false, scope, retryAfter } with retryAfter in seconds
+const checkLoginAllowed = async (identity) => {
+    const now = new Date();
+    const locks = await LoginAttempt.find({
+        key: { $in: keysFor(identity).map((k) => k.key) },
+        locked_until: { $gt: now },
+    });
+    if (!locks.length) return { allowed: true };
+
+    const longest = locks.reduce((a, b) => (a.locked_until > b.locked_until ? a : b));
+    return {
+        allowed: false,
+        scope: longest.scope,
+        retryAfter: Math.ceil((longest.locked_until.getTime() - now.getTime()) / 1000),
+    };
+};
+
+const recordLoginFailure = async (identity) => {
+    const now = new Date();
+
+    for (const { scope, value, key } of keysFor(identity)) {
+        const policy = POLICIES[scope];
+
+        // start a new window once the previous one has passed
+        await LoginAttempt.updateOne(
+            { key, window_start: { $lte: new Date(now.getTime() - policy.windowMs) } },
+            { failures: 0, window_start: now }
+        );
+        const attempt = await LoginAttempt.findOneAndUpdate(
+            { key },
+            {
+                $inc: { failures: 1 },
+                $set: { last_failure_at: now, expires_at: new Date(now.getTime() + policy.windowMs + policy.lockMs) },
+                $setOnInsert: { scope, value, window_start: now },
+            },
+            { upsert: true, new: true }
+        );
+
+        if (attempt.failures >= policy.maxFailures) {
+            attempt.locked_until = new Date(now.getTime() + policy.lockMs);
+            attempt.failures = 0;
+            attempt.window_start = now;
+            await attempt.save();
+        }
+    }
+};
+
+// A successful login clears the account's counter; the IP counter keeps running
+const recordLoginSuccess = async ({ email }) => {
+    await LoginAttempt.deleteOne({ key: `email:${String(email).toLowerCase()}` });
+};
+
+module.exports = { checkLoginAllowed, recordLoginFailure, recordLoginSuccess };
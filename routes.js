@@ -1,44 +1,174 @@
+const crypto = require("crypto");
 const express = require("express");
+const mongoose = require("mongoose");
 const {
   User,
   Donor,
   BloodInventory,
   Request,
   Notification,
+  NotificationDelivery,
+  OutboundMessage,
   BloodBank,
+  BloodUnit,
+  StockAdjustment,
+  Transfer,
+  Invite,
+  RoleAudit,
+  LoginAttempt,
 } = require("./models");
 const {
-  generateToken,
+  sendResponse,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSessions,
+  createAuthToken,
+  consumeAuthToken,
+  hashToken,
+  recordRoleChange,
   hashPassword,
   comparePassword,
   protect,
-  restrictTo,
-  mockPredictions,
+  compatibleDonorTypes,
+  compatibleRecipientTypes,
+  compatibilityRank,
+  getDonorEligibility,
+  toPoint,
+  withinRadius,
+  escapeRegex,
 } = require("./utils");
+const {
+  addUnits,
+  setAvailableUnits,
+  adjustStock,
+  expireUnits,
+  assertActiveBank,
+  refreshInventory,
+  LOW_STOCK_THRESHOLD,
+  HIGH_STOCK_THRESHOLD,
+} = require("./inventory");
+const {
+  allowedTransitions,
+  transitionRequest,
+} = require("./lifecycle");
+const {
+  OPEN_TRANSFER_STATUSES,
+  allowedTransferTransitions,
+  createTransfer,
+  transitionTransfer,
+  suggestTransfers,
+} = require("./transfers");
+const { createNotification, formatDelivery } = require("./notifications");
+const { subscribe, disconnectUser } = require("./events");
+const { processOutbox, sendEmail } = require("./channels");
+const { forecastDemand } = require("./forecast");
+const analytics = require("./analytics");
+const { streamExport, runImport } = require("./bulk");
+const { parseCsvObjects } = require("./csv");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("./ratelimit");
+const { changeRole, deleteAccount } = require("./accounts");
+const { authorize, loadOwned } = require("./permissions");
+const { validate } = require("./validation");
+const {
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+  TooManyRequestsError,
+  asyncHandler,
+} = require("./errors");
+const schemas = require("./schemas");
 const router = express.Router();
 
-const sendResponse = (res, success, message, data = null, status = 200) => {
-  return res.status(status).json({ success, message, data });
+const DEFAULT_RADIUS_KM = parseFloat(process.env.DEFAULT_RADIUS_KM) || 25;
+
+// Reads optional latitude/longitude/radius_km. Returns { error } when coordinates are
+// partially given or invalid, { point: null } when none were given at all.
+const readLocation = ({ latitude, longitude, radius_km }) => {
+  if (latitude === undefined && longitude === undefined) return { point: null };
+
+  const point = toPoint(latitude, longitude);
+  const radiusKm =
+    radius_km === undefined ? DEFAULT_RADIUS_KM : parseFloat(radius_km);
+  if (!point) return { error: "Invalid latitude/longitude" };
+  if (!(radiusKm > 0)) return { error: "radius_km must be a positive number" };
+  return { point, radiusKm };
+};
+
+const toKm = (meters) => Math.round(meters / 10) / 100;
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const REQUIRE_EMAIL_VERIFICATION =
+  process.env.REQUIRE_EMAIL_VERIFICATION !== "false";
+
+const transferWithTransitions = (transfer, user) => ({
+  ...transfer.toObject(),
+  allowed_transitions: allowedTransferTransitions(transfer, user),
+});
+
+const findTransfers = async (query, { page, limit }) => {
+  const transfers = await Transfer.find(query)
+    .populate("from_bank", "name location")
+    .populate("to_bank", "name location")
+    .populate("history.actor", "full_name role")
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+  const count = await Transfer.countDocuments(query);
+  return { transfers, totalPages: Math.ceil(count / limit), currentPage: page };
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAuthToken(user._id, "email_verification");
+  await sendEmail(
+    user,
+    "Verify your BloodLink email",
+    `Hi ${user.full_name}, confirm your email address: ${APP_URL}/verify-email?token=${token} (valid for 24 hours).`
+  );
+};
+
+const requestWithTransitions = (request, user) => {
+  const data = request.toObject();
+  // donors only see their own pledge, requesters and admins see all of them
+  if (user.role === "donor") {
+    data.responses = data.responses.filter(
+      (r) => String(r.user_id?._id ?? r.user_id) === String(user.id)
+    );
+  }
+  return { ...data, allowed_transitions: allowedTransitions(request, user) };
 };
 
-router.post("/auth/register", async (req, res) => {
-  const {
-    full_name,
-    email,
-    phone,
-    password,
-    role = "user",
-    blood_type,
-    region,
-  } = req.body;
-  try {
-    if (!full_name || !email || !password || !blood_type) {
-      return sendResponse(res, false, "Missing required fields", null, 400);
+router.post(
+  "/auth/register",
+  validate(schemas.register),
+  asyncHandler(async (req, res) => {
+    const {
+      full_name,
+      email,
+      phone,
+      password,
+      role,
+      blood_type,
+      region,
+      latitude,
+      longitude,
+    } = req.body;
+
+    const location = readLocation({ latitude, longitude });
+    if (location.error) {
+      throw new BadRequestError(location.error);
     }
 
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      return sendResponse(res, false, "User already exists", null, 409);
+      throw new ConflictError("User already exists", { code: "USER_EXISTS" });
     }
 
     const password_hash = await hashPassword(password);
@@ -51,7 +181,8 @@ router.post("/auth/register", async (req, res) => {
       role,
       blood_type,
     };
-    if (role !== "admin" && region) userData.region = region;
+    if (region) userData.region = region;
+    if (location.point) userData.geo_location = location.point;
 
     const newUser = await User.create(userData);
 
@@ -59,13 +190,22 @@ router.post("/auth/register", async (req, res) => {
       await Donor.create({ user_id: newUser._id });
     }
 
-    const token = generateToken({ id: newUser._id, role: newUser.role });
+    await sendVerificationEmail(newUser);
+
+    // no session until the email address is confirmed
+    const tokens = REQUIRE_EMAIL_VERIFICATION
+      ? {}
+      : await issueTokens(newUser);
     sendResponse(
       res,
       true,
-      "Registration successful",
+      REQUIRE_EMAIL_VERIFICATION
+        ? "Registration successful, check your email to verify your account"
+        : "Registration successful",
       {
-        token,
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        emailVerificationRequired: REQUIRE_EMAIL_VERIFICATION,
         user: {
           id: newUser._id,
           role: newUser.role,
@@ -76,23 +216,50 @@ router.post("/auth/register", async (req, res) => {
       },
       201
     );
-  } catch (error) {
-    sendResponse(res, false, error.message, null, 500);
-  }
-});
+  })
+);
+
+router.post(
+  "/auth/login",
+  validate(schemas.login),
+  asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    const identity = { ip: req.ip, email };
+    const limit = await checkLoginAllowed(identity);
+    if (!limit.allowed) {
+      const locked = limit.scope === "email";
+      throw new TooManyRequestsError(
+        locked
+          ? "Account temporarily locked after too many failed logins"
+          : "Too many failed login attempts, try again later",
+        {
+          code: locked ? "ACCOUNT_LOCKED" : "LOGIN_THROTTLED",
+          retryAfter: limit.retryAfter,
+          details: { retryAfter: limit.retryAfter },
+        }
+      );
+    }
 
-router.post("/auth/login", async (req, res) => {
-  const { email, password } = req.body;
-  try {
     const user = await User.findOne({ email });
     if (!user || !(await comparePassword(password, user.password_hash))) {
-      return sendResponse(res, false, "Invalid credentials", null, 401);
+      await recordLoginFailure(identity);
+      throw new UnauthorizedError("Invalid credentials", {
+        code: "INVALID_CREDENTIALS",
+      });
+    }
+    await recordLoginSuccess(identity);
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified) {
+      throw new ForbiddenError("Email not verified", {
+        code: "EMAIL_NOT_VERIFIED",
+        details: { emailVerificationRequired: true },
+      });
     }
 
-    const token = generateToken({ id: user._id, role: user.role });
+    const { token, refreshToken } = await issueTokens(user);
 
     sendResponse(res, true, "Login successful", {
       token,
+      refreshToken,
       user: {
         id: user._id,
         role: user.role,
@@ -101,63 +268,432 @@ router.post("/auth/login", async (req, res) => {
         region: user.region || null,
       },
     });
-  } catch (error) {
-    sendResponse(res, false, error.message, null, 500);
-  }
-});
+  })
+);
 
-router.get(
-  "/dashboard/user-stats",
+router.post(
+  "/auth/verify-email",
+  validate(schemas.token),
+  asyncHandler(async (req, res) => {
+    const authToken = await consumeAuthToken(
+      req.body.token,
+      "email_verification"
+    );
+    if (!authToken) {
+      throw new BadRequestError("Invalid or expired token", {
+        code: "INVALID_TOKEN",
+      });
+    }
+
+    await User.updateOne({ _id: authToken.user_id }, { email_verified: true });
+    sendResponse(res, true, "Email verified");
+  })
+);
+
+// Same answer whether or not the account exists, so emails cannot be probed
+router.post(
+  "/auth/resend-verification",
+  validate(schemas.email),
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.email_verified) await sendVerificationEmail(user);
+    sendResponse(
+      res,
+      true,
+      "If the account exists and is unverified, a verification email has been sent"
+    );
+  })
+);
+
+router.post(
+  "/auth/forgot-password",
+  validate(schemas.email),
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      const token = await createAuthToken(user._id, "password_reset");
+      await sendEmail(
+        user,
+        "Reset your BloodLink password",
+        `Hi ${user.full_name}, reset your password here: ${APP_URL}/reset-password?token=${token} (valid for 1 hour). Ignore this email if you did not ask for it.`
+      );
+    }
+    sendResponse(
+      res,
+      true,
+      "If the account exists, a password reset email has been sent"
+    );
+  })
+);
+
+router.post(
+  "/auth/reset-password",
+  validate(schemas.resetPassword),
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+
+    const authToken = await consumeAuthToken(token, "password_reset");
+    if (!authToken) {
+      throw new BadRequestError("Invalid or expired token", {
+        code: "INVALID_TOKEN",
+      });
+    }
+
+    // the reset link proves the address, so it also counts as verification
+    await User.updateOne(
+      { _id: authToken.user_id },
+      { password_hash: await hashPassword(password), email_verified: true }
+    );
+    await revokeSessions(authToken.user_id);
+
+    sendResponse(res, true, "Password has been reset, please log in");
+  })
+);
+
+router.put(
+  "/auth/change-password",
   protect,
-  restrictTo(["user"]),
-  async (req, res) => {
-    try {
-      const bloodUnits = await BloodInventory.aggregate([
-        { $group: { _id: null, total: { $sum: "$available_units" } } },
-      ]);
-      const donors = await Donor.countDocuments({ availability: true });
-      const requests = await Request.countDocuments({
-        requester_id: req.user.id,
+  validate(schemas.changePassword),
+  asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (!(await comparePassword(currentPassword || "", user.password_hash))) {
+      throw new UnauthorizedError("Current password is incorrect", {
+        code: "INVALID_PASSWORD",
       });
-      sendResponse(res, true, "User dashboard stats", {
-        bloodUnits: bloodUnits[0]?.total || 0,
-        donors,
-        requests,
+    }
+
+    user.password_hash = await hashPassword(newPassword);
+    await user.save();
+
+    // sign out other sessions and hand this one a fresh pair
+    await revokeSessions(user._id);
+    const { token, refreshToken } = await issueTokens(
+      await User.findById(user._id)
+    );
+
+    sendResponse(res, true, "Password changed", { token, refreshToken });
+  })
+);
+
+router.post(
+  "/auth/accept-invite",
+  validate(schemas.acceptInvite),
+  asyncHandler(async (req, res) => {
+    const { token, full_name, phone, password, blood_type } = req.body;
+
+    // claim the invite first so it can only be used once
+    const invite = await Invite.findOneAndUpdate(
+      {
+        token_hash: hashToken(token),
+        accepted_at: null,
+        revoked_at: null,
+        expires_at: { $gt: new Date() },
+      },
+      { accepted_at: new Date() },
+      { new: true }
+    );
+    if (!invite) {
+      throw new BadRequestError("Invalid or expired invite", {
+        code: "INVALID_INVITE",
+      });
+    }
+
+    if (await User.exists({ email: invite.email })) {
+      await Invite.updateOne({ _id: invite._id }, { accepted_at: null });
+      throw new ConflictError("User already exists", { code: "USER_EXISTS" });
+    }
+
+    let newUser;
+    try {
+      newUser = await User.create({
+        full_name,
+        email: invite.email,
+        phone,
+        password_hash: await hashPassword(password),
+        role: invite.role,
+        blood_type,
+        bank_id: invite.bank_id,
+        email_verified: true, // the invite link was delivered to this address
       });
     } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
+      await Invite.updateOne({ _id: invite._id }, { accepted_at: null });
+      throw error;
     }
-  }
+
+    invite.accepted_user = newUser._id;
+    await invite.save();
+    await recordRoleChange({
+      user: newUser,
+      grantedBy: invite.invited_by,
+      via: "invite",
+      inviteId: invite._id,
+    });
+
+    const { token: accessToken, refreshToken } = await issueTokens(newUser);
+    sendResponse(
+      res,
+      true,
+      "Invite accepted",
+      {
+        token: accessToken,
+        refreshToken,
+        user: {
+          id: newUser._id,
+          role: newUser.role,
+          full_name: newUser.full_name,
+          phone: newUser.phone,
+          bank_id: newUser.bank_id,
+        },
+      },
+      201
+    );
+  })
+);
+
+router.post(
+  "/auth/refresh",
+  validate(schemas.refresh),
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const session = await rotateRefreshToken(refreshToken);
+    if (!session) {
+      throw new UnauthorizedError("Invalid or expired refresh token", {
+        code: "INVALID_REFRESH_TOKEN",
+      });
+    }
+
+    sendResponse(res, true, "Token refreshed", {
+      token: session.token,
+      refreshToken: session.refreshToken,
+    });
+  })
+);
+
+// all=true signs the user out everywhere, otherwise only the given refresh token is revoked
+router.post(
+  "/auth/logout",
+  protect,
+  validate(schemas.logout),
+  asyncHandler(async (req, res) => {
+    const { refreshToken, all } = req.body;
+
+    if (all === true) {
+      await revokeSessions(req.user.id);
+    } else if (refreshToken) {
+      await revokeRefreshToken(refreshToken, req.user.id);
+    } else {
+      throw new BadRequestError(
+        "Refresh token is required unless all is true"
+      );
+    }
+    sendResponse(res, true, "Logged out");
+  })
+);
+
+router.get(
+  "/dashboard/user-stats",
+  protect,
+  authorize("dashboard:user"),
+  asyncHandler(async (req, res) => {
+    const bloodUnits = await BloodInventory.aggregate([
+      { $group: { _id: null, total: { $sum: "$available_units" } } },
+    ]);
+    const donors = await Donor.countDocuments({ availability: true });
+    const requests = await Request.countDocuments({
+      requester_id: req.user.id,
+    });
+    sendResponse(res, true, "User dashboard stats", {
+      bloodUnits: bloodUnits[0]?.total || 0,
+      donors,
+      requests,
+    });
+  })
+);
+
+router.get(
+  "/dashboard/donor-stats",
+  protect,
+  authorize("dashboard:donor"),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+    const donor = await Donor.findOne({ user_id: req.user.id });
+    if (!user || !donor) throw new NotFoundError("Donor profile not found");
+
+    const [openRequests, pledges] = await Promise.all([
+      Request.countDocuments({
+        region: user.region,
+        blood_group: { $in: compatibleRecipientTypes(user.blood_type) },
+        status: { $in: ["Pending", "Approved"] },
+      }),
+      Request.countDocuments({
+        status: { $in: ["Pending", "Approved"] },
+        responses: {
+          $elemMatch: {
+            user_id: user._id,
+            status: "accepted",
+            donation_id: null,
+          },
+        },
+      }),
+    ]);
+    const eligibility = getDonorEligibility(donor);
+
+    sendResponse(res, true, "Donor dashboard stats", {
+      totalDonations: donor.donation_log.length,
+      totalUnits: donor.donation_log.reduce(
+        (sum, entry) => sum + (entry.units || 0),
+        0
+      ),
+      lastDonationDate: donor.last_donation_date,
+      eligible: eligibility.eligible,
+      nextEligibleDate: eligibility.eligible
+        ? new Date()
+        : eligibility.eligible_on,
+      openMatchingRequests: openRequests,
+      openPledges: pledges,
+      reputation: donor.reputation,
+      availability: donor.availability,
+    });
+  })
+);
+
+router.get(
+  "/dashboard/admin-stats",
+  protect,
+  authorize("dashboard:admin"),
+  validate(schemas.adminStats),
+  asyncHandler(async (req, res) => {
+    const { days } = req.query;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [[requestCounts], lowStock, registrations, unverifiedDonors] =
+      await Promise.all([
+        Request.aggregate([
+          {
+            $facet: {
+              pending: [{ $match: { status: "Pending" } }, { $count: "n" }],
+              approved: [{ $match: { status: "Approved" } }, { $count: "n" }],
+              critical: [
+                {
+                  $match: {
+                    is_critical: true,
+                    status: { $in: ["Pending", "Approved"] },
+                  },
+                },
+                { $count: "n" },
+              ],
+            },
+          },
+        ]),
+        BloodInventory.find({ status: "Low" }).select(
+          "blood_type available_units"
+        ),
+        // users have no timestamps, the ObjectId carries the creation time
+        User.aggregate([
+          {
+            $match: {
+              _id: {
+                $gte: mongoose.Types.ObjectId.createFromTime(
+                  Math.floor(since.getTime() / 1000)
+                ),
+              },
+            },
+          },
+          { $group: { _id: "$role", count: { $sum: 1 } } },
+        ]),
+        // verifying a donor sets reputation to 10
+        Donor.countDocuments({ reputation: { $lt: 10 } }),
+      ]);
+
+    const count = (facet) => facet[0]?.n || 0;
+
+    sendResponse(res, true, "Admin dashboard stats", {
+      pendingRequests: count(requestCounts.pending),
+      approvedRequests: count(requestCounts.approved),
+      criticalRequests: count(requestCounts.critical),
+      lowStockBloodTypes: lowStock,
+      newRegistrations: {
+        days,
+        total: registrations.reduce((sum, r) => sum + r.count, 0),
+        byRole: Object.fromEntries(registrations.map((r) => [r._id, r.count])),
+      },
+      unverifiedDonors,
+    });
+  })
 );
 
 router.get(
   "/requests/user",
   protect,
-  restrictTo(["user"]),
-  async (req, res) => {
-    try {
-      const userRequests = await Request.find({ requester_id: req.user.id });
-      sendResponse(res, true, "Fetched user requests", userRequests);
-    } catch (err) {
-      sendResponse(res, false, err.message, null, 500);
-    }
-  }
+  authorize("request:create"),
+  asyncHandler(async (req, res) => {
+    const userRequests = await Request.find({ requester_id: req.user.id });
+    sendResponse(res, true, "Fetched user requests", userRequests);
+  })
 );
 
-router.get("/predictions", protect, restrictTo(["admin"]), (req, res) => {
-  sendResponse(res, true, "Mock Demand Prediction Data", mockPredictions);
-});
+router.get(
+  "/predictions",
+  protect,
+  authorize("forecast:read"),
+  validate(schemas.predictions),
+  asyncHandler(async (req, res) => {
+    const { horizon, history_days: historyDays, alpha, region } = req.query;
+
+    const forecast = await forecastDemand({ horizon, historyDays, alpha, region });
+    sendResponse(res, true, "Demand forecast", {
+      horizon,
+      history_days: historyDays,
+      region: region || null,
+      forecast,
+    });
+  })
+);
 
-router.get("/inventory/search", protect, async (req, res) => {
-  const { type, region, availability } = req.query;
-  const query = {};
-  if (type) query.blood_type = type;
+router.get(
+  "/inventory/search",
+  protect,
+  validate(schemas.inventorySearch),
+  asyncHandler(async (req, res) => {
+    const { type, region, availability } = req.query;
+    const query = {};
+    if (type) query.blood_type = type;
+
+    const location = readLocation(req.query);
+    if (location.error) {
+      throw new BadRequestError(location.error);
+    }
 
-  try {
-    let banks = await BloodBank.find();
+    let banks;
+
+    if (location.point) {
+      banks = await BloodBank.aggregate([
+        {
+          $geoNear: {
+            near: location.point,
+            distanceField: "distance_m",
+            maxDistance: location.radiusKm * 1000,
+            spherical: true,
+            query: { active: { $ne: false } },
+          },
+        },
+      ]);
+      banks = banks.map(({ distance_m, ...bank }) => ({
+        ...bank,
+        distance_km: toKm(distance_m),
+      }));
+    } else {
+      banks = await BloodBank.find({ active: { $ne: false } });
+    }
 
+    // free-text location match, kept for clients that only know the region
     if (region) {
-      const regex = new RegExp(region, "i");
+      const regex = new RegExp(escapeRegex(region), "i");
       banks = banks.filter((bank) => regex.test(bank.location));
     }
 
@@ -165,540 +701,1972 @@ router.get("/inventory/search", protect, async (req, res) => {
     const data = { banks, inventory };
 
     sendResponse(res, true, "Blood search results", data);
-  } catch (error) {
-    sendResponse(res, false, error.message, null, 500);
-  }
-});
+  })
+);
 
-router.post("/requests", protect, restrictTo(["user"]), async (req, res) => {
-  const { blood_group, region, hospital, status,  notes } = req.body;
+router.post(
+  "/requests",
+  protect,
+  authorize("request:create"),
+  validate(schemas.createRequest),
+  asyncHandler(async (req, res) => {
+    const {
+      blood_group,
+      region,
+      hospital,
+      status,
+      is_critical,
+      notes,
+      bank_id,
+      units,
+    } = req.body;
+    const location = readLocation(req.body);
+
+    if (location.error) {
+      throw new BadRequestError(location.error);
+    }
 
-  if (!blood_group || !region) {
-    return sendResponse(
-      res,
-      false,
-      "Blood group and region are required",
-      null,
-      400
-    );
-  }
+    if (bank_id) await assertActiveBank(bank_id);
 
-  try {
     const newRequest = await Request.create({
       requester_id: req.user.id,
       blood_group,
       region,
-      status,
+      is_critical: is_critical === true || status === "Critical",
+      units,
+      bank_id: bank_id || null,
       hospital: hospital || "",
+      geo_location: location.point || undefined,
       notes: notes || "",
+      history: [{ to: "Pending", actor: req.user.id, note: "Request created" }],
     });
 
-    const donorUsers = await User.find({
+    // with hospital coordinates: donors within the radius, plus donors in the region
+    // who never shared a location
+    const donorQuery = {
       role: "donor",
-      blood_type: blood_group,
-      region,
+      blood_type: { $in: compatibleDonorTypes(blood_group) },
+    };
+    if (location.point) {
+      donorQuery.$or = [
+        { geo_location: withinRadius(location.point, location.radiusKm) },
+        { region, geo_location: { $exists: false } },
+      ];
+    } else {
+      donorQuery.region = region;
+    }
+    const donorUsers = await User.find(donorQuery);
+
+    // donors still inside their donation interval or deferred are skipped
+    const donorProfiles = await Donor.find({
+      user_id: { $in: donorUsers.map((u) => u._id) },
     });
+    const eligibleIds = new Set(
+      donorProfiles
+        .filter((d) => getDonorEligibility(d).eligible)
+        .map((d) => d.user_id.toString())
+    );
+    const eligibleDonors = donorUsers.filter((u) =>
+      eligibleIds.has(u._id.toString())
+    );
 
-    const notifications = donorUsers.map((u) => ({
-      title: "New Matching Request",
-      message: `A new request for ${blood_group} has been posted in your region (${region}).`,
-      role: "donor",
-      region,
-      type: "request",
-      status: "unread",
-    }));
+    // exact matches first, universal donors last
+    eligibleDonors.sort(
+      (a, b) =>
+        compatibilityRank(a.blood_type, blood_group) -
+        compatibilityRank(b.blood_type, blood_group)
+    );
 
-    if (notifications.length > 0) {
-      await Notification.insertMany(notifications);
+    if (eligibleDonors.length > 0) {
+      await createNotification(
+        {
+          title: "New Matching Request",
+          message: `A new request for ${blood_group} has been posted in your region (${region}).`,
+          type: "request",
+          role: "donor",
+          region,
+          blood_type: blood_group,
+          data: { request_id: newRequest._id },
+        },
+        eligibleDonors.map((u) => u._id),
+        { urgent: newRequest.is_critical }
+      );
     }
 
     sendResponse(res, true, "Blood request submitted", newRequest, 201);
-  } catch (error) {
-    console.error(error);
-    sendResponse(res, false, error.message, null, 500);
-  }
-});
-
-router.post("/requests/:id/status", protect, async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body;
-
-  const validStatuses = ["Pending", "Approved", "Fulfilled", "Critical"];
-  if (!status || !validStatuses.includes(status)) {
-    return sendResponse(
-      res,
-      false,
-      `Invalid status. Valid options: ${validStatuses.join(", ")}`,
-      null,
-      400
-    );
-  }
+  })
+);
 
-  try {
-    const request = await Request.findById(id);
-    if (!request) {
-      return sendResponse(res, false, "Request not found", null, 404);
-    }
+router.post(
+  "/requests/:id/status",
+  protect,
+  validate(schemas.requestStatus),
+  loadOwned("request"),
+  asyncHandler(async (req, res) => {
+    const { status, note = "" } = req.body;
+    const fields = {};
 
     if (status === "Approved") {
       const approver = await User.findById(req.user.id);
-      request.approved_by = {
+      fields.approved_by = {
         name: approver.full_name,
         phone: approver.phone,
       };
     }
 
-    request.status = status;
+    const request = await transitionRequest(
+      req.resource,
+      status,
+      req.user,
+      note,
+      fields
+    );
+
+    sendResponse(
+      res,
+      true,
+      "Request status updated successfully",
+      requestWithTransitions(request, req.user)
+    );
+  })
+);
+
+router.put(
+  "/requests/:id/urgency",
+  protect,
+  authorize("request:update"),
+  validate(schemas.requestUrgency),
+  loadOwned("request"),
+  asyncHandler(async (req, res) => {
+    const { is_critical } = req.body;
+    const request = req.resource;
+
+    if (!["Pending", "Approved"].includes(request.status)) {
+      throw new ConflictError(
+        `Cannot change urgency of a ${request.status} request`
+      );
+    }
+
+    request.is_critical = is_critical;
     await request.save();
 
-    sendResponse(res, true, "Request status updated successfully", request);
-  } catch (error) {
-    console.error(error);
-    sendResponse(res, false, error.message, null, 500);
-  }
-});
+    sendResponse(res, true, "Request urgency updated", request);
+  })
+);
 
-router.get("/requests", protect, async (req, res) => {
-  try {
+router.get(
+  "/requests",
+  protect,
+  asyncHandler(async (req, res) => {
     let requests;
 
     if (req.user.role === "admin") {
       requests = await Request.find()
         .populate("requester_id", "full_name blood_type phone region")
+        .populate("history.actor", "full_name role")
+        .populate("responses.user_id", "full_name phone blood_type")
+        .sort({ createdAt: -1 });
+    } else if (req.user.role === "staff") {
+      requests = await Request.find({ bank_id: req.user.bank_id })
+        .populate("requester_id", "full_name blood_type phone region")
+        .populate("history.actor", "full_name role")
+        .populate("responses.user_id", "full_name phone blood_type")
         .sort({ createdAt: -1 });
     } else if (req.user.role === "donor") {
-      const donor = await User.findById(req.user.id);
-      if (!donor.region)
-        return sendResponse(res, false, "Donor region not set", null, 400);
+      if (!req.user.region) throw new BadRequestError("Donor region not set");
 
-      requests = await Request.find({ region: donor.region })
+      requests = await Request.find({ region: req.user.region })
         .populate("requester_id", "full_name blood_type phone region")
+        .populate("history.actor", "full_name role")
+        .populate("responses.user_id", "full_name phone blood_type")
         .sort({ createdAt: -1 });
     } else {
       requests = await Request.find({ requester_id: req.user.id })
         .populate("requester_id", "full_name blood_type phone region")
+        .populate("history.actor", "full_name role")
+        .populate("responses.user_id", "full_name phone blood_type")
         .sort({ createdAt: -1 });
     }
 
-    sendResponse(res, true, "Requests fetched successfully", requests);
-  } catch (error) {
-    sendResponse(res, false, error.message, null, 500);
-  }
-});
+    sendResponse(
+      res,
+      true,
+      "Requests fetched successfully",
+      requests.map((request) => requestWithTransitions(request, req.user))
+    );
+  })
+);
 
 router.get(
   "/donors/search",
   protect,
-  restrictTo(["admin", "user"]),
-  async (req, res) => {
-    try {
-      const { blood_type, name, region } = req.query;
+  authorize("donor:search"),
+  validate(schemas.donorSearch),
+  asyncHandler(async (req, res) => {
+    const { blood_type, name, region, match = "compatible" } = req.query;
+
+    const userQuery = { role: "donor" };
+    if (blood_type) {
+      userQuery.blood_type =
+        match === "exact"
+          ? blood_type
+          : { $in: compatibleDonorTypes(blood_type) };
+    }
+    if (region) userQuery.region = region;
+    if (name) {
+      userQuery.full_name = { $regex: new RegExp(escapeRegex(name), "i") };
+    }
 
-      const userQuery = { role: "donor" };
-      if (blood_type) userQuery.blood_type = blood_type;
-      if (region) userQuery.region = region;
-      if (name) userQuery.full_name = { $regex: new RegExp(name, "i") };
+    const location = readLocation(req.query);
+    if (location.error) {
+      throw new BadRequestError(location.error);
+    }
 
-      const users = await User.find(userQuery)
+    let users;
+    if (location.point) {
+      users = await User.aggregate([
+        {
+          $geoNear: {
+            near: location.point,
+            distanceField: "distance_m",
+            maxDistance: location.radiusKm * 1000,
+            query: userQuery,
+            spherical: true,
+          },
+        },
+        { $project: { password_hash: 0, __v: 0 } },
+      ]);
+      users = users.map(({ distance_m, ...user }) => ({
+        ...user,
+        distance_km: toKm(distance_m),
+      }));
+    } else {
+      users = await User.find(userQuery)
         .select("-password_hash -__v")
-        .sort({ full_name: 1 });
-
-      const donorsWithAvailability = await Promise.all(
-        users.map(async (user) => {
-          const donorData = await Donor.findOne({ user_id: user._id }).select(
-            "availability"
-          );
-
-          return {
-            ...user.toObject(),
-            availability: donorData?.availability,
-          };
-        })
-      );
+        .sort({ full_name: 1 })
+        .lean();
+    }
 
-      if (!donorsWithAvailability.length) {
-        return sendResponse(
-          res,
-          true,
-          "No donors found for given criteria",
-          []
+    const donorsWithAvailability = await Promise.all(
+      users.map(async (user) => {
+        const donorData = await Donor.findOne({ user_id: user._id }).select(
+          "availability last_donation_date deferrals"
         );
-      }
+        const eligibility = donorData && getDonorEligibility(donorData);
+
+        return {
+          ...user,
+          availability: donorData?.availability,
+          eligible: eligibility?.eligible,
+          eligible_on: eligibility?.eligible_on,
+          exact_match: blood_type ? user.blood_type === blood_type : undefined,
+        };
+      })
+    );
 
-      sendResponse(res, true, "Donor search results", donorsWithAvailability);
-    } catch (error) {
-      console.error("Error while searching donors:", error);
-      sendResponse(res, false, "Failed to fetch donors", null, 500);
+    if (blood_type) {
+      // users are already sorted by name or distance, Array#sort is stable,
+      // so compatibility rank comes first and distance breaks ties
+      donorsWithAvailability.sort(
+        (a, b) =>
+          compatibilityRank(a.blood_type, blood_type) -
+          compatibilityRank(b.blood_type, blood_type)
+      );
     }
-  }
+
+    if (!donorsWithAvailability.length) {
+      return sendResponse(
+        res,
+        true,
+        "No donors found for given criteria",
+        []
+      );
+    }
+
+    sendResponse(res, true, "Donor search results", donorsWithAvailability);
+  })
 );
 
 router.get(
   "/donors/availability",
   protect,
-  restrictTo(["donor"]),
-  async (req, res) => {
-    try {
-      const donor = await Donor.findOne({ user_id: req.user.id }).select(
-        "availability"
-      );
-      if (!donor) {
-        return sendResponse(res, false, "Donor profile not found", null, 404);
-      }
+  authorize("donor:profile"),
+  asyncHandler(async (req, res) => {
+    const donor = await Donor.findOne({ user_id: req.user.id }).select(
+      "availability"
+    );
+    if (!donor) {
+      throw new NotFoundError("Donor profile not found");
+    }
 
-      sendResponse(res, true, "Availability fetched successfully", {
-        availability: donor.availability,
-      });
-    } catch (error) {
-      console.error(error);
-      sendResponse(res, false, error.message, null, 500);
-    }
-  }
+    sendResponse(res, true, "Availability fetched successfully", {
+      availability: donor.availability,
+    });
+  })
 );
 
 router.post(
   "/donors/donate",
   protect,
-  restrictTo(["donor"]),
-  async (req, res) => {
-    try {
-      const { units = 1, notes = "" } = req.body;
-      const donor = await Donor.findOne({ user_id: req.user.id });
-      if (!donor)
-        return sendResponse(res, false, "Donor profile not found", null, 404);
+  authorize("donation:create"),
+  validate(schemas.donate),
+  asyncHandler(async (req, res) => {
+    const { units, notes, bank_id, component, request_id } = req.body;
+
+    const donor = await Donor.findOne({ user_id: req.user.id });
+    if (!donor) throw new NotFoundError("Donor profile not found");
+
+    const eligibility = getDonorEligibility(donor);
+    if (!eligibility.eligible) {
+      throw new BadRequestError("Donor is not eligible to donate yet", {
+        code: "DONOR_NOT_ELIGIBLE",
+        details: eligibility,
+      });
+    }
 
-      const newDate = new Date();
+    if (bank_id) await assertActiveBank(bank_id);
 
-      donor.donation_log = donor.donation_log || [];
-      donor.donation_log.push({
-        date: newDate,
-        units,
-        notes: notes || "Recorded via dashboard",
-      });
+    // link the donation to an open pledge: the one named in the body, else the latest one
+    const pledgeQuery = {
+      status: { $in: ["Pending", "Approved"] },
+      responses: {
+        $elemMatch: {
+          user_id: req.user.id,
+          status: "accepted",
+          donation_id: null,
+        },
+      },
+    };
+    if (request_id) pledgeQuery._id = request_id;
+    // "latest" is by this donor's own pledge, not the newest response on the request
+    const pledgedAt = (request) =>
+      request.responses.find(
+        (r) =>
+          String(r.user_id) === String(req.user.id) &&
+          r.status === "accepted" &&
+          !r.donation_id
+      ).responded_at;
+    const [pledgedRequest = null] = (await Request.find(pledgeQuery)).sort(
+      (a, b) => pledgedAt(b) - pledgedAt(a)
+    );
+    if (request_id && !pledgedRequest) {
+      throw new NotFoundError("No open pledge found for this request");
+    }
+
+    const newDate = new Date();
+    const user = await User.findById(req.user.id);
 
-      donor.last_donation_date = newDate;
-      await donor.save();
+    const lot = await addUnits({
+      blood_type: user.blood_type,
+      component,
+      bank_id: bank_id || null,
+      donor_id: donor._id,
+      count: units,
+      collection_date: newDate,
+    });
 
-      const user = await User.findById(req.user.id);
-      let inventory = await BloodInventory.findOne({
-        blood_type: user.blood_type,
-      });
-      if (!inventory) {
-        inventory = await BloodInventory.create({
-          blood_type: user.blood_type,
-          available_units: units,
-        });
-      } else {
-        inventory.available_units += units;
-        await inventory.save();
-      }
+    donor.donation_log = donor.donation_log || [];
+    donor.donation_log.push({
+      date: newDate,
+      units,
+      notes: notes || "Recorded via dashboard",
+      bank_id: bank_id || null,
+      lot_number: lot.lot_number,
+      request_id: pledgedRequest?._id || null,
+    });
 
-      sendResponse(res, true, "Donation recorded and inventory updated", {
-        donor: {
-          id: donor._id,
-          last_donation_date: donor.last_donation_date,
-          donation_log: donor.donation_log,
-        },
-        inventory: {
-          blood_type: inventory.blood_type,
-          available_units: inventory.available_units,
-        },
-      });
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
+    donor.last_donation_date = newDate;
+    await donor.save();
+
+    if (pledgedRequest) {
+      const pledge = pledgedRequest.responses.find(
+        (r) => String(r.user_id) === String(req.user.id)
+      );
+      pledge.donation_id = donor.donation_log[donor.donation_log.length - 1]._id;
+      pledge.donated_at = newDate;
+      await pledgedRequest.save();
     }
-  }
+
+    sendResponse(res, true, "Donation recorded and inventory updated", {
+      donor: {
+        id: donor._id,
+        last_donation_date: donor.last_donation_date,
+        donation_log: donor.donation_log,
+      },
+      lot: {
+        lot_number: lot.lot_number,
+        component,
+        bank_id: bank_id || null,
+        units,
+        expiry_date: lot.expiry_date,
+      },
+      request_id: pledgedRequest?._id || null,
+      inventory: {
+        blood_type: lot.inventory.blood_type,
+        available_units: lot.inventory.available_units,
+      },
+    });
+  })
 );
 
 router.put(
   "/donors/availability",
   protect,
-  restrictTo(["donor"]),
-  async (req, res) => {
-    let { availability } = req.body;
-
-    availability = availability === true || availability === "true";
-
-    try {
-      const donor = await Donor.findOneAndUpdate(
-        { user_id: req.user.id },
-        { availability },
-        { new: true }
-      );
+  authorize("donor:profile"),
+  validate(schemas.donorAvailability),
+  asyncHandler(async (req, res) => {
+    const { availability } = req.body;
+
+    const donor = await Donor.findOneAndUpdate(
+      { user_id: req.user.id },
+      { availability },
+      { new: true }
+    );
 
-      if (!donor)
-        return sendResponse(res, false, "Donor profile not found", null, 404);
+    if (!donor) throw new NotFoundError("Donor profile not found");
 
-      sendResponse(res, true, "Availability updated", {
-        availability: donor.availability,
-      });
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
-    }
-  }
+    sendResponse(res, true, "Availability updated", {
+      availability: donor.availability,
+    });
+  })
 );
 
 router.get(
   "/donors/requests",
   protect,
-  restrictTo(["donor"]),
-  async (req, res) => {
-    try {
-      const user = await User.findById(req.user.id);
-      const pendingRequests = await Request.find({
-        blood_group: user.blood_type,
-        status: "Pending",
-      });
-      sendResponse(res, true, "Pending matching requests", pendingRequests);
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
-    }
-  }
+  authorize("donor:profile"),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+    // donors are assigned to the requests of their own region
+    const pendingRequests = await Request.find({
+      region: user.region,
+      blood_group: { $in: compatibleRecipientTypes(user.blood_type) },
+      status: "Pending",
+    }).sort({ createdAt: -1 });
+
+    // requests the donor matches exactly come first
+    pendingRequests.sort(
+      (a, b) =>
+        compatibilityRank(user.blood_type, a.blood_group) -
+        compatibilityRank(user.blood_type, b.blood_group)
+    );
+    sendResponse(
+      res,
+      true,
+      "Pending matching requests",
+      pendingRequests.map((request) => requestWithTransitions(request, req.user))
+    );
+  })
 );
 
-router.get(
-  "/donors/history",
-  protect,
-  restrictTo(["donor"]),
-  async (req, res) => {
-    try {
-      const donor = await Donor.findOne({ user_id: req.user.id });
-      if (!donor) return sendResponse(res, false, "Donor not found", null, 404);
-      sendResponse(
-        res,
-        true,
-        "Donation history fetched",
-        donor.donation_log || []
-      );
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
+const respondToRequest = (status) =>
+  asyncHandler(async (req, res) => {
+    const { note = "" } = req.body;
+    const request = req.resource;
+    if (!["Pending", "Approved"].includes(request.status)) {
+      throw new ConflictError(`Cannot respond to a ${request.status} request`);
     }
-  }
-);
 
-router.get("/notifications", protect, async (req, res) => {
-  try {
     const user = await User.findById(req.user.id);
-    if (!user) return sendResponse(res, false, "User not found", null, 404);
+    const donor = await Donor.findOne({ user_id: req.user.id });
+    if (!donor) throw new NotFoundError("Donor profile not found");
 
-    let query;
+    const existing = request.responses.find(
+      (r) => String(r.user_id) === String(req.user.id)
+    );
+    if (existing?.donation_id) {
+      throw new ConflictError("You have already donated for this request");
+    }
 
-    if (user.role === "admin") {
-      query = {};
-    } else if (user.role === "donor" && user.region) {
-      query = {
-        $or: [{ role: "all" }, { role: "donor", region: user.region }],
-      };
+    if (status === "accepted") {
+      if (compatibilityRank(user.blood_type, request.blood_group) === -1) {
+        throw new BadRequestError(
+          `Your blood type (${user.blood_type}) cannot be given to ${request.blood_group}`
+        );
+      }
+      const eligibility = getDonorEligibility(donor);
+      if (!eligibility.eligible) {
+        throw new BadRequestError("Donor is not eligible to donate yet", {
+          code: "DONOR_NOT_ELIGIBLE",
+          details: eligibility,
+        });
+      }
+    }
+
+    if (existing) {
+      existing.status = status;
+      existing.note = note;
+      existing.responded_at = new Date();
     } else {
-      query = {
-        $or: [{ role: "all" }, { role: user.role, region: user.region }],
-      };
+      request.responses.push({
+        user_id: req.user.id,
+        donor_id: donor._id,
+        status,
+        note,
+      });
     }
+    await request.save();
 
-    const notifications = await Notification.find(query).sort({
-      createdAt: -1,
-    });
-    sendResponse(res, true, "Dashboard notifications", notifications);
-  } catch (error) {
-    sendResponse(res, false, error.message, null, 500);
-  }
-});
+    sendResponse(
+      res,
+      true,
+      status === "accepted" ? "Pledge recorded" : "Request declined",
+      request.responses.find((r) => String(r.user_id) === String(req.user.id))
+    );
+  });
 
-router.put("/notifications/read/:id", protect, async (req, res) => {
-  try {
-    await Notification.findByIdAndUpdate(req.params.id, { isRead: true });
-    sendResponse(res, true, "Notification marked as read");
-  } catch (error) {
-    sendResponse(res, false, error.message, null, 500);
-  }
-});
+router.post(
+  "/donors/requests/:id/accept",
+  protect,
+  authorize("request:respond"),
+  validate(schemas.respondToRequest),
+  loadOwned("request"),
+  respondToRequest("accepted")
+);
 
 router.post(
-  "/admin/notifications",
+  "/donors/requests/:id/decline",
   protect,
-  restrictTo(["admin"]),
-  async (req, res) => {
-    const { title, message, role = "all" } = req.body;
-    try {
-      const newNotification = await Notification.create({
-        title,
-        message,
-        role,
-      });
-      sendResponse(res, true, "Notification created", newNotification, 201);
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
-    }
+  authorize("request:respond"),
+  validate(schemas.respondToRequest),
+  loadOwned("request"),
+  respondToRequest("declined")
+);
+
+router.get(
+  "/requests/:id/responses",
+  protect,
+  authorize("request:responses"),
+  validate(schemas.requestById),
+  loadOwned("request"),
+  asyncHandler(async (req, res) => {
+    const request = await req.resource.populate(
+      "responses.user_id",
+      "full_name phone blood_type region"
+    );
+
+    sendResponse(res, true, "Request responses fetched", {
+      pledged: request.responses.filter((r) => r.status === "accepted"),
+      declined: request.responses.filter((r) => r.status === "declined"),
+    });
+  })
+);
+
+router.get(
+  "/donors/eligibility",
+  protect,
+  authorize("donor:profile"),
+  asyncHandler(async (req, res) => {
+    const donor = await Donor.findOne({ user_id: req.user.id });
+    if (!donor) throw new NotFoundError("Donor profile not found");
+
+    sendResponse(
+      res,
+      true,
+      "Donor eligibility fetched",
+      getDonorEligibility(donor)
+    );
+  })
+);
+
+router.get(
+  "/donors/history",
+  protect,
+  authorize("donor:profile"),
+  asyncHandler(async (req, res) => {
+    const donor = await Donor.findOne({ user_id: req.user.id });
+    if (!donor) throw new NotFoundError("Donor not found");
+    sendResponse(
+      res,
+      true,
+      "Donation history fetched",
+      donor.donation_log || []
+    );
+  })
+);
+
+// EventSource cannot set headers, so the token may also come as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
   }
+  next();
+};
+
+router.get(
+  "/events/stream",
+  tokenFromQuery,
+  protect,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select("role region bank_id");
+    if (!user) throw new NotFoundError("User not found");
+
+    subscribe(req, res, {
+      id: req.user.id,
+      role: user.role,
+      region: user.region,
+      bank_id: user.bank_id,
+    });
+  })
 );
 
-router.get("/admin/users", protect, restrictTo(["admin"]), async (req, res) => {
-  const { page = 1, limit = 10, role } = req.query;
-  const query = {};
-  if (role) query.role = role;
+router.get(
+  "/notifications",
+  protect,
+  validate(schemas.notifications),
+  asyncHandler(async (req, res) => {
+    const { unread, type, page, limit } = req.query;
 
-  try {
-    const users = await User.find(query)
-      .limit(limit * 1)
+    const query = { recipient: req.user.id };
+    if (unread) query.isRead = false;
+    if (type) query.type = type;
+
+    const deliveries = await NotificationDelivery.find(query)
+      .populate("notification_id", "title message data")
+      .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
-      .select("-password_hash");
-    const count = await User.countDocuments(query);
+      .limit(limit);
+    const count = await NotificationDelivery.countDocuments(query);
+    const unreadCount = await NotificationDelivery.countDocuments({
+      recipient: req.user.id,
+      isRead: false,
+    });
 
-    sendResponse(res, true, "Users list", {
-      users,
+    sendResponse(res, true, "Dashboard notifications", {
+      notifications: deliveries.map(formatDelivery),
+      unreadCount,
       totalPages: Math.ceil(count / limit),
-      currentPage: parseInt(page),
+      currentPage: page,
     });
-  } catch (error) {
-    sendResponse(res, false, error.message, null, 500);
-  }
-});
+  })
+);
+
+router.get(
+  "/notifications/unread-count",
+  protect,
+  asyncHandler(async (req, res) => {
+    const unreadCount = await NotificationDelivery.countDocuments({
+      recipient: req.user.id,
+      isRead: false,
+    });
+    sendResponse(res, true, "Unread notification count", { unreadCount });
+  })
+);
+
+const PROFILE_FIELDS = ["full_name", "phone", "region"];
+const loadProfile = async (userId) => {
+  const user = await User.findById(userId).select(
+    "-password_hash -token_version"
+  );
+  if (!user) return null;
+  const donor =
+    user.role === "donor" ? await Donor.findOne({ user_id: user._id }) : null;
+  const bank =
+    user.role === "staff" && user.bank_id
+      ? await BloodBank.findById(user.bank_id).select("name location active")
+      : null;
+  return {
+    user,
+    bank,
+    donor: donor && {
+      _id: donor._id,
+      availability: donor.availability,
+      reputation: donor.reputation,
+      last_donation_date: donor.last_donation_date,
+      donations: donor.donation_log.length,
+      eligibility: getDonorEligibility(donor),
+    },
+  };
+};
+
+router.get(
+  "/me",
+  protect,
+  asyncHandler(async (req, res) => {
+    const profile = await loadProfile(req.user.id);
+    if (!profile) throw new NotFoundError("User not found");
+    sendResponse(res, true, "Profile fetched", profile);
+  })
+);
 
 router.put(
-  "/admin/users/:id",
+  "/me",
   protect,
-  restrictTo(["admin"]),
-  async (req, res) => {
-    const { role } = req.body;
-    try {
-      const user = await User.findByIdAndUpdate(
-        req.params.id,
-        { role },
-        { new: true }
-      ).select("-password_hash");
-      sendResponse(res, true, "User updated", user);
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
+  validate(schemas.updateProfile),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) throw new NotFoundError("User not found");
+
+    PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) user[field] = req.body[field];
+    });
+    const regionChanged = user.isModified("region");
+    await user.save();
+    // open event streams are scoped to the old region
+    if (regionChanged) disconnectUser(user._id);
+
+    sendResponse(res, true, "Profile updated", await loadProfile(user._id));
+  })
+);
+
+// A plain user signs up as a donor; a region is needed to match them to requests
+router.post(
+  "/me/donor",
+  protect,
+  validate(schemas.becomeDonor),
+  asyncHandler(async (req, res) => {
+    const { region } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) throw new NotFoundError("User not found");
+    if (user.role !== "user") {
+      throw new ConflictError(
+        user.role === "donor" ? "You are already a donor" : "Only user accounts can become donors"
+      );
     }
-  }
+
+    if (region) user.region = region;
+    await changeRole(user, "donor", { via: "self_service" });
+
+    // the role is embedded in the access token, hand out a pair that reflects it
+    const { token, refreshToken } = await issueTokens(user);
+    sendResponse(
+      res,
+      true,
+      "Donor profile created",
+      { token, refreshToken, ...(await loadProfile(user._id)) },
+      201
+    );
+  })
 );
 
+// Permanently removes the account; the current password confirms it
 router.delete(
-  "/admin/users/:id",
+  "/me",
   protect,
-  restrictTo(["admin"]),
-  async (req, res) => {
-    try {
-      await User.findByIdAndDelete(req.params.id);
-      await Donor.deleteOne({ user_id: req.params.id });
-      sendResponse(res, true, "User deleted");
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
+  validate(schemas.deleteAccount),
+  asyncHandler(async (req, res) => {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) throw new NotFoundError("User not found");
+
+    if (!(await comparePassword(password, user.password_hash))) {
+      throw new UnauthorizedError("Password is incorrect", {
+        code: "INVALID_PASSWORD",
+      });
     }
-  }
+
+    await deleteAccount(user);
+    sendResponse(res, true, "Account deleted");
+  })
 );
 
 router.put(
-  "/admin/donors/:id/verify",
+  "/users/location",
   protect,
-  restrictTo(["admin"]),
-  async (req, res) => {
-    try {
-      const donor = await Donor.findOneAndUpdate(
-        { user_id: req.params.id },
-        { reputation: 10 },
-        { new: true }
-      );
-      sendResponse(res, true, "Donor verified (reputation updated)", donor);
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
+  validate(schemas.updateLocation),
+  asyncHandler(async (req, res) => {
+    const { latitude, longitude } = req.body;
+
+    // null clears the stored location
+    const update =
+      latitude === null && longitude === null
+        ? { $unset: { geo_location: 1 } }
+        : { geo_location: toPoint(latitude, longitude) };
+    if (update.geo_location === null) {
+      throw new BadRequestError("Invalid latitude/longitude");
     }
-  }
+
+    const user = await User.findByIdAndUpdate(req.user.id, update, {
+      new: true,
+    }).select("geo_location region");
+    if (!user) throw new NotFoundError("User not found");
+
+    sendResponse(res, true, "Location updated", user);
+  })
 );
 
-router.post(
-  "/admin/banks",
+router.get(
+  "/notifications/preferences",
   protect,
-  restrictTo(["admin"]),
-  async (req, res) => {
-    const { name, location, contact } = req.body;
-    try {
-      const newBank = await BloodBank.create({ name, location, contact });
-      sendResponse(res, true, "Blood bank added", newBank, 201);
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
-    }
-  }
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select(
+      "notification_preferences"
+    );
+    if (!user) throw new NotFoundError("User not found");
+    sendResponse(
+      res,
+      true,
+      "Notification preferences",
+      user.notification_preferences
+    );
+  })
 );
 
-router.get("/admin/banks", protect, restrictTo(["admin"]), async (req, res) => {
-  try {
-    const banks = await BloodBank.find();
-    sendResponse(res, true, "All blood banks fetched", banks);
-  } catch (error) {
-    sendResponse(res, false, error.message, null, 500);
-  }
-});
-
 router.put(
-  "/admin/banks/:id/inventory",
+  "/notifications/preferences",
   protect,
-  restrictTo(["admin"]),
-  async (req, res) => {
-    const { available_units } = req.body;
-    try {
-      const bank = await BloodBank.findByIdAndUpdate(
-        req.params.id,
-        { available_units },
-        { new: true }
-      );
-      sendResponse(res, true, "Blood bank inventory updated", bank);
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
+  validate(schemas.notificationPreferences),
+  asyncHandler(async (req, res) => {
+    const { email, sms, quiet_hours } = req.body;
+    const update = {};
+
+    if (email !== undefined) update["notification_preferences.email"] = email;
+    if (sms !== undefined) update["notification_preferences.sms"] = sms;
+    if (quiet_hours !== undefined) {
+      const { start = null, end = null } = quiet_hours || {};
+      update["notification_preferences.quiet_hours"] = { start, end };
     }
-  }
+
+    const user = await User.findByIdAndUpdate(req.user.id, update, {
+      new: true,
+    }).select("notification_preferences");
+    if (!user) throw new NotFoundError("User not found");
+    sendResponse(
+      res,
+      true,
+      "Notification preferences updated",
+      user.notification_preferences
+    );
+  })
 );
 
 router.put(
-  "/admin/requests/:id/status",
+  "/notifications/read-all",
   protect,
-  restrictTo(["admin"]),
-  async (req, res) => {
-    const { status } = req.body;
-    try {
-      const request = await Request.findByIdAndUpdate(
-        req.params.id,
-        { status },
-        { new: true }
-      );
-      sendResponse(res, true, "Request status updated", request);
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
-    }
-  }
+  asyncHandler(async (req, res) => {
+    const result = await NotificationDelivery.updateMany(
+      { recipient: req.user.id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+    sendResponse(res, true, "All notifications marked as read", {
+      updated: result.modifiedCount,
+    });
+  })
 );
 
+// :id may be the delivery id or the notification id, only the caller's own copy is touched
 router.put(
-  "/admin/inventory/units",
+  "/notifications/read/:id",
   protect,
-  restrictTo(["admin"]),
-  async (req, res) => {
-    const { blood_type, units } = req.body;
-    try {
-      let inventory = await BloodInventory.findOneAndUpdate(
-        { blood_type },
-        { available_units: units },
-        { new: true, upsert: true }
-      );
-      sendResponse(res, true, "Inventory units updated", inventory);
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
-    }
-  }
+  validate(schemas.notificationById),
+  loadOwned("notification"),
+  asyncHandler(async (req, res) => {
+    const delivery = req.resource;
+    delivery.isRead = true;
+    delivery.readAt = new Date();
+    await delivery.save();
+    sendResponse(res, true, "Notification marked as read");
+  })
+);
+
+router.post(
+  "/admin/notifications",
+  protect,
+  authorize("notification:manage"),
+  validate(schemas.sendNotification),
+  asyncHandler(async (req, res) => {
+    const { title, message, role = "all", region, blood_type } = req.body;
+    const { notification, recipients } = await createNotification({
+      title,
+      message,
+      type: "system",
+      role,
+      region: region || null,
+      blood_type: blood_type || null,
+    });
+    sendResponse(
+      res,
+      true,
+      "Notification created",
+      { ...notification.toObject(), recipients },
+      201
+    );
+  })
 );
 
 router.get(
-  "/admin/inventory/units",
+  "/admin/notifications",
   protect,
-  restrictTo(["admin"]),
-  async (req, res) => {
-    try {
-      const inventory = await BloodInventory.find();
-      sendResponse(res, true, "Inventory data", inventory);
-    } catch (error) {
-      sendResponse(res, false, error.message, null, 500);
-    }
-  }
+  authorize("notification:manage"),
+  validate(schemas.listNotifications),
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+
+    const notifications = await Notification.aggregate([
+      { $match: query },
+      { $sort: { createdAt: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: NotificationDelivery.collection.name,
+          localField: "_id",
+          foreignField: "notification_id",
+          as: "deliveries",
+        },
+      },
+      {
+        $addFields: {
+          recipients: { $size: "$deliveries" },
+          read: {
+            $size: {
+              $filter: { input: "$deliveries", cond: "$$this.isRead" },
+            },
+          },
+        },
+      },
+      { $project: { deliveries: 0 } },
+    ]);
+    const count = await Notification.countDocuments(query);
+
+    sendResponse(res, true, "Sent notifications", {
+      notifications,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+    });
+  })
+);
+
+router.get(
+  "/admin/outbox",
+  protect,
+  authorize("notification:manage"),
+  validate(schemas.outbox),
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.channel) query.channel = req.query.channel;
+
+    const messages = await OutboundMessage.find(query)
+      .populate("recipient", "full_name email phone")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const count = await OutboundMessage.countDocuments(query);
+
+    sendResponse(res, true, "Outbound messages", {
+      messages,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+    });
+  })
+);
+
+router.post(
+  "/admin/outbox/:id/retry",
+  protect,
+  authorize("notification:manage"),
+  validate(schemas.outboxRetry),
+  asyncHandler(async (req, res) => {
+    const message = await OutboundMessage.findOneAndUpdate(
+      { _id: req.params.id, status: "failed" },
+      { status: "queued", attempts: 0, next_attempt_at: new Date() },
+      { new: true }
+    );
+    if (!message) {
+      throw new NotFoundError("Failed message not found");
+    }
+
+    await processOutbox();
+    sendResponse(
+      res,
+      true,
+      "Message requeued",
+      await OutboundMessage.findById(message._id)
+    );
+  })
+);
+
+router.get(
+  "/admin/users",
+  protect,
+  authorize("user:manage"),
+  validate(schemas.listUsers),
+  asyncHandler(async (req, res) => {
+    const { page, limit, role } = req.query;
+    const query = {};
+    if (role) query.role = role;
+
+    const users = await User.find(query)
+      .limit(limit)
+      .skip((page - 1) * limit)
+      .select("-password_hash");
+    const count = await User.countDocuments(query);
+
+    sendResponse(res, true, "Users list", {
+      users,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+    });
+  })
+);
+
+router.put(
+  "/admin/users/:id",
+  protect,
+  authorize("user:manage"),
+  validate(schemas.updateUser),
+  asyncHandler(async (req, res) => {
+    const { role } = req.body;
+    const user = await User.findById(req.params.id);
+    if (!user) throw new NotFoundError("User not found");
+
+    const previousRole = user.role;
+    await changeRole(user, role, {
+      grantedBy: req.user.id,
+      via: "admin_update",
+    });
+    if (previousRole !== role) {
+      // existing sessions still carry the old role, make the user sign in again
+      await revokeSessions(user._id);
+    }
+
+    sendResponse(
+      res,
+      true,
+      "User updated",
+      await User.findById(user._id).select("-password_hash")
+    );
+  })
+);
+
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS) || 7;
+
+router.post(
+  "/admin/invites",
+  protect,
+  authorize("user:manage"),
+  validate(schemas.createInvite),
+  asyncHandler(async (req, res) => {
+    const { email, role, bank_id } = req.body;
+
+    if (await User.exists({ email })) {
+      throw new ConflictError("User already exists", { code: "USER_EXISTS" });
+    }
+    if (role === "staff") await assertActiveBank(bank_id);
+
+    // a newer invite replaces any open one for the same address
+    await Invite.updateMany(
+      { email, accepted_at: null, revoked_at: null },
+      { revoked_at: new Date() }
+    );
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const invite = await Invite.create({
+      email,
+      role,
+      bank_id: role === "staff" ? bank_id : null,
+      token_hash: hashToken(token),
+      invited_by: req.user.id,
+      expires_at: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    await sendEmail(
+      { email },
+      "You have been invited to BloodLink",
+      `You have been invited to join BloodLink as ${role}. Accept the invite here: ${APP_URL}/accept-invite?token=${token} (valid for ${INVITE_TTL_DAYS} days).`
+    );
+
+    const { token_hash, ...data } = invite.toObject();
+    sendResponse(res, true, "Invite sent", data, 201);
+  })
+);
+
+router.get(
+  "/admin/invites",
+  protect,
+  authorize("user:manage"),
+  asyncHandler(async (req, res) => {
+    const invites = await Invite.find()
+      .select("-token_hash")
+      .populate("invited_by", "full_name email")
+      .populate("bank_id", "name")
+      .sort({ createdAt: -1 });
+    sendResponse(res, true, "Invites fetched", invites);
+  })
+);
+
+router.delete(
+  "/admin/invites/:id",
+  protect,
+  authorize("user:manage"),
+  validate(schemas.inviteById),
+  asyncHandler(async (req, res) => {
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.id, accepted_at: null, revoked_at: null },
+      { revoked_at: new Date() },
+      { new: true }
+    ).select("-token_hash");
+    if (!invite) {
+      throw new NotFoundError("Open invite not found");
+    }
+    sendResponse(res, true, "Invite revoked", invite);
+  })
+);
+
+router.get(
+  "/admin/role-audit",
+  protect,
+  authorize("user:manage"),
+  validate(schemas.roleAudit),
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const query = {};
+    if (req.query.user_id) query.user_id = req.query.user_id;
+
+    const entries = await RoleAudit.find(query)
+      .populate("granted_by", "full_name email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const count = await RoleAudit.countDocuments(query);
+
+    sendResponse(res, true, "Role audit log", {
+      entries,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+    });
+  })
+);
+
+// Active lockouts; ?all=true also lists counters that have not tripped yet
+router.get(
+  "/admin/login-locks",
+  protect,
+  authorize("user:manage"),
+  validate(schemas.loginLocks),
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const query = req.query.all ? {} : { locked_until: { $gt: new Date() } };
+    if (req.query.scope) query.scope = req.query.scope;
+
+    const locks = await LoginAttempt.find(query)
+      .sort({ locked_until: -1, last_failure_at: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const count = await LoginAttempt.countDocuments(query);
+
+    sendResponse(res, true, "Login locks", {
+      locks,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+    });
+  })
+);
+
+router.delete(
+  "/admin/login-locks/:id",
+  protect,
+  authorize("user:manage"),
+  validate(schemas.loginLockById),
+  asyncHandler(async (req, res) => {
+    const lock = await LoginAttempt.findByIdAndDelete(req.params.id);
+    if (!lock) {
+      throw new NotFoundError("Lock not found");
+    }
+    sendResponse(res, true, "Lock cleared", { key: lock.key });
+  })
+);
+
+router.delete(
+  "/admin/users/:id",
+  protect,
+  authorize("user:manage"),
+  validate(schemas.userById),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) throw new NotFoundError("User not found");
+
+    await deleteAccount(user);
+    sendResponse(res, true, "User deleted");
+  })
+);
+
+router.put(
+  "/admin/donors/:id/verify",
+  protect,
+  authorize("donor:manage"),
+  validate(schemas.userById),
+  asyncHandler(async (req, res) => {
+    const donor = await Donor.findOneAndUpdate(
+      { user_id: req.params.id },
+      { reputation: 10 },
+      { new: true }
+    );
+    sendResponse(res, true, "Donor verified (reputation updated)", donor);
+  })
+);
+
+router.get(
+  "/admin/donors/:id/eligibility",
+  protect,
+  authorize("donor:manage"),
+  validate(schemas.userById),
+  asyncHandler(async (req, res) => {
+    const donor = await Donor.findOne({ user_id: req.params.id });
+    if (!donor) throw new NotFoundError("Donor profile not found");
+
+    sendResponse(res, true, "Donor eligibility fetched", {
+      ...getDonorEligibility(donor),
+      deferrals: donor.deferrals,
+    });
+  })
+);
+
+router.post(
+  "/admin/donors/:id/deferrals",
+  protect,
+  authorize("donor:manage"),
+  validate(schemas.createDeferral),
+  asyncHandler(async (req, res) => {
+    const { type, reason, expires_at } = req.body;
+
+    const donor = await Donor.findOne({ user_id: req.params.id });
+    if (!donor) throw new NotFoundError("Donor profile not found");
+
+    donor.deferrals.push({
+      type,
+      reason,
+      expires_at: type === "temporary" ? expires_at : null,
+      created_by: req.user.id,
+    });
+    await donor.save();
+
+    sendResponse(
+      res,
+      true,
+      "Deferral recorded",
+      { ...getDonorEligibility(donor), deferrals: donor.deferrals },
+      201
+    );
+  })
+);
+
+router.delete(
+  "/admin/donors/:id/deferrals/:deferralId",
+  protect,
+  authorize("donor:manage"),
+  validate(schemas.deferralById),
+  asyncHandler(async (req, res) => {
+    const donor = await Donor.findOne({ user_id: req.params.id });
+    if (!donor) throw new NotFoundError("Donor profile not found");
+
+    const deferral = donor.deferrals.id(req.params.deferralId);
+    if (!deferral || deferral.lifted_at)
+      throw new NotFoundError("Active deferral not found");
+
+    deferral.lifted_at = new Date();
+    await donor.save();
+
+    sendResponse(res, true, "Deferral lifted", {
+      ...getDonorEligibility(donor),
+      deferrals: donor.deferrals,
+    });
+  })
+);
+
+router.post(
+  "/admin/banks",
+  protect,
+  authorize("bank:create"),
+  validate(schemas.createBank),
+  asyncHandler(async (req, res) => {
+    const { name, location, contact, opening_hours } = req.body;
+    const geo = readLocation(req.body);
+    if (geo.error) {
+      throw new BadRequestError(geo.error);
+    }
+
+    const newBank = await BloodBank.create({
+      name,
+      location,
+      contact,
+      opening_hours,
+      geo_location: geo.point || undefined,
+    });
+    sendResponse(res, true, "Blood bank added", newBank, 201);
+  })
+);
+
+router.get(
+  "/admin/banks",
+  protect,
+  authorize("bank:read"),
+  validate(schemas.listBanks),
+  asyncHandler(async (req, res) => {
+    const { active } = req.query;
+    const query = {};
+    // banks created before deactivation existed have no active field
+    if (active !== undefined) query.active = active ? { $ne: false } : false;
+
+    const banks = await BloodBank.find(query);
+    sendResponse(res, true, "All blood banks fetched", banks);
+  })
+);
+
+// Sets counts outright without a logged reason, so it is left to admins; staff go through
+// POST /banks/:id/stock
+router.put(
+  "/admin/banks/:id/inventory",
+  protect,
+  authorize("inventory:configure"),
+  validate(schemas.bankInventory),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    const entries = Object.entries(req.body.available_units);
+
+    // only the listed blood types are adjusted, units are added or discarded to match
+    for (const [type, count] of entries) {
+      await setAvailableUnits(type, req.params.id, count);
+    }
+
+    const bank = await BloodBank.findById(req.params.id);
+    sendResponse(res, true, "Blood bank inventory updated", bank);
+  })
+);
+
+// Bank portal: staff manage the bank they are assigned to, admins any bank
+router.get(
+  "/banks/:id",
+  protect,
+  authorize("bank:read"),
+  validate(schemas.bankById),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    sendResponse(res, true, "Blood bank fetched", req.resource);
+  })
+);
+
+router.put(
+  "/banks/:id",
+  protect,
+  authorize("bank:manage"),
+  validate(schemas.updateBank),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    const bank = req.resource;
+    const geo = readLocation(req.body);
+    if (geo.error) {
+      throw new BadRequestError(geo.error);
+    }
+
+    ["name", "location", "contact", "opening_hours"].forEach((field) => {
+      if (req.body[field] !== undefined) bank[field] = req.body[field];
+    });
+    if (geo.point) bank.geo_location = geo.point;
+    await bank.save();
+
+    sendResponse(res, true, "Blood bank updated", bank);
+  })
+);
+
+// Moves one blood type in or out, e.g. { blood_type: "O-", change: -2, reason: "damaged" }
+router.post(
+  "/banks/:id/stock",
+  protect,
+  authorize("inventory:write"),
+  validate(schemas.adjustStock),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    const { blood_type, change, reason, component, note } = req.body;
+
+    const adjustment = await adjustStock({
+      bankId: req.resource._id,
+      bloodType: blood_type,
+      change,
+      reason,
+      component,
+      note,
+      actorId: req.user.id,
+    });
+    sendResponse(res, true, "Stock adjusted", adjustment, 201);
+  })
+);
+
+router.get(
+  "/banks/:id/stock/adjustments",
+  protect,
+  authorize("inventory:read"),
+  validate(schemas.stockAdjustments),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    const { blood_type, reason, page, limit } = req.query;
+    const query = { bank_id: req.resource._id };
+    if (blood_type) query.blood_type = blood_type;
+    if (reason) query.reason = reason;
+
+    const adjustments = await StockAdjustment.find(query)
+      .populate("actor", "full_name role")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const count = await StockAdjustment.countDocuments(query);
+
+    sendResponse(res, true, "Stock adjustments fetched", {
+      adjustments,
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+    });
+  })
+);
+
+// Requests routed to this bank
+router.get(
+  "/banks/:id/requests",
+  protect,
+  authorize("bank:read"),
+  validate(schemas.bankRequests),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    const { status, page, limit } = req.query;
+    const query = { bank_id: req.resource._id };
+    if (status) query.status = status;
+
+    const requests = await Request.find(query)
+      .populate("requester_id", "full_name blood_type phone region")
+      .populate("history.actor", "full_name role")
+      .populate("responses.user_id", "full_name phone blood_type")
+      .sort({ is_critical: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const count = await Request.countDocuments(query);
+
+    sendResponse(res, true, "Bank requests fetched", {
+      requests: requests.map((request) =>
+        requestWithTransitions(request, req.user)
+      ),
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+    });
+  })
+);
+
+// Inter-bank transfers: :id is the bank asking for the units
+router.post(
+  "/banks/:id/transfers",
+  protect,
+  authorize("inventory:transfer"),
+  validate(schemas.createTransfer),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    const { from_bank_id, blood_type, units, component, note } = req.body;
+
+    await assertActiveBank(req.resource._id);
+    await assertActiveBank(from_bank_id);
+
+    const transfer = await createTransfer({
+      fromBankId: from_bank_id,
+      toBankId: req.resource._id,
+      bloodType: blood_type,
+      units,
+      component,
+      note,
+      actor: req.user,
+    });
+    sendResponse(
+      res,
+      true,
+      "Transfer requested",
+      transferWithTransitions(transfer, req.user),
+      201
+    );
+  })
+);
+
+// Transfers in both directions; ?direction=incoming|outgoing narrows them down
+router.get(
+  "/banks/:id/transfers",
+  protect,
+  authorize("inventory:transfer"),
+  validate(schemas.bankTransfers),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    const { direction, status } = req.query;
+    const bank_id = req.resource._id;
+
+    const query = {};
+    if (direction === "incoming") query.to_bank = bank_id;
+    else if (direction === "outgoing") query.from_bank = bank_id;
+    else query.$or = [{ from_bank: bank_id }, { to_bank: bank_id }];
+    if (status) query.status = status;
+
+    const result = await findTransfers(query, req.query);
+    sendResponse(res, true, "Transfers fetched", {
+      ...result,
+      transfers: result.transfers.map((transfer) =>
+        transferWithTransitions(transfer, req.user)
+      ),
+    });
+  })
+);
+
+router.get(
+  "/transfers/:id",
+  protect,
+  authorize("inventory:transfer"),
+  validate(schemas.transferById),
+  loadOwned("transfer"),
+  asyncHandler(async (req, res) => {
+    const transfer = await req.resource.populate([
+      { path: "from_bank", select: "name location contact" },
+      { path: "to_bank", select: "name location contact" },
+      { path: "history.actor", select: "full_name role" },
+    ]);
+    sendResponse(
+      res,
+      true,
+      "Transfer fetched",
+      transferWithTransitions(transfer, req.user)
+    );
+  })
+);
+
+// The source bank approves and dispatches, the asking bank cancels or receives
+router.post(
+  "/transfers/:id/status",
+  protect,
+  authorize("inventory:transfer"),
+  validate(schemas.transferStatus),
+  loadOwned("transfer"),
+  asyncHandler(async (req, res) => {
+    const { status, note } = req.body;
+
+    const transfer = await transitionTransfer(
+      req.resource,
+      status,
+      req.user,
+      note
+    );
+    sendResponse(
+      res,
+      true,
+      "Transfer status updated",
+      transferWithTransitions(transfer, req.user)
+    );
+  })
+);
+
+router.post(
+  "/admin/banks/:id/deactivate",
+  protect,
+  authorize("bank:deactivate"),
+  validate(schemas.bankById),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    const bank = req.resource;
+    if (!bank.active) {
+      throw new ConflictError("Blood bank is already deactivated");
+    }
+
+    bank.active = false;
+    bank.deactivated_at = new Date();
+    await bank.save();
+    // nobody new joins a deactivated bank
+    await Invite.updateMany(
+      { bank_id: bank._id, accepted_at: null, revoked_at: null },
+      { revoked_at: new Date() }
+    );
+
+    sendResponse(res, true, "Blood bank deactivated", bank);
+  })
+);
+
+router.post(
+  "/admin/banks/:id/activate",
+  protect,
+  authorize("bank:deactivate"),
+  validate(schemas.bankById),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    const bank = req.resource;
+    if (bank.active) {
+      throw new ConflictError("Blood bank is already active");
+    }
+
+    bank.active = true;
+    bank.deactivated_at = null;
+    await bank.save();
+
+    sendResponse(res, true, "Blood bank activated", bank);
+  })
+);
+
+// Only banks with no stock, open requests, transfers or staff can be deleted
+router.delete(
+  "/admin/banks/:id",
+  protect,
+  authorize("bank:delete"),
+  validate(schemas.bankById),
+  loadOwned("bank"),
+  asyncHandler(async (req, res) => {
+    const bank_id = req.resource._id;
+
+    if (
+      await BloodUnit.exists({
+        bank_id,
+        status: { $in: ["available", "reserved", "in_transit"] },
+      })
+    ) {
+      throw new ConflictError("Blood bank still holds stock", {
+        code: "BANK_HAS_STOCK",
+      });
+    }
+    if (
+      await Request.exists({
+        bank_id,
+        status: { $in: ["Pending", "Approved"] },
+      })
+    ) {
+      throw new ConflictError("Blood bank has open requests", {
+        code: "BANK_HAS_OPEN_REQUESTS",
+      });
+    }
+    if (
+      await Transfer.exists({
+        $or: [{ from_bank: bank_id }, { to_bank: bank_id }],
+        status: { $in: OPEN_TRANSFER_STATUSES },
+      })
+    ) {
+      throw new ConflictError("Blood bank has open transfers", {
+        code: "BANK_HAS_OPEN_TRANSFERS",
+      });
+    }
+    if (await User.exists({ role: "staff", bank_id })) {
+      throw new ConflictError("Blood bank still has staff assigned", {
+        code: "BANK_HAS_STAFF",
+      });
+    }
+
+    await Invite.updateMany(
+      { bank_id, accepted_at: null, revoked_at: null },
+      { revoked_at: new Date() }
+    );
+    await StockAdjustment.deleteMany({ bank_id });
+    await BloodBank.deleteOne({ _id: bank_id });
+
+    sendResponse(res, true, "Blood bank deleted");
+  })
+);
+
+router.get(
+  "/admin/transfers",
+  protect,
+  authorize("transfer:manage"),
+  validate(schemas.listTransfers),
+  asyncHandler(async (req, res) => {
+    const { status, blood_type, bank_id } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (blood_type) query.blood_type = blood_type;
+    if (bank_id) query.$or = [{ from_bank: bank_id }, { to_bank: bank_id }];
+
+    const result = await findTransfers(query, req.query);
+    sendResponse(res, true, "Transfers fetched", {
+      ...result,
+      transfers: result.transfers.map((transfer) =>
+        transferWithTransitions(transfer, req.user)
+      ),
+    });
+  })
+);
+
+// Banks that could cover another's shortfall, see POST /banks/:id/transfers
+router.get(
+  "/admin/transfers/suggestions",
+  protect,
+  authorize("transfer:manage"),
+  validate(schemas.transferSuggestions),
+  asyncHandler(async (req, res) => {
+    const result = await suggestTransfers(req.query.blood_type);
+    sendResponse(res, true, "Transfer suggestions", result);
+  })
+);
+
+router.put(
+  "/admin/requests/:id/status",
+  protect,
+  authorize(
+    "request:approve",
+    "request:reopen",
+    "request:fulfil",
+    "request:cancel",
+    "request:expire"
+  ),
+  validate(schemas.requestStatus),
+  loadOwned("request"),
+  asyncHandler(async (req, res) => {
+    const { status, note = "" } = req.body;
+    const request = await transitionRequest(
+      req.resource,
+      status,
+      req.user,
+      note
+    );
+    sendResponse(
+      res,
+      true,
+      "Request status updated",
+      requestWithTransitions(request, req.user)
+    );
+  })
+);
+
+router.put(
+  "/admin/inventory/units",
+  protect,
+  authorize("inventory:configure"),
+  validate(schemas.inventoryUnits),
+  loadOwned("bank", (req) => req.body.bank_id),
+  asyncHandler(async (req, res) => {
+    const { blood_type, units, bank_id } = req.body;
+
+    const inventory = await setAvailableUnits(blood_type, bank_id, units);
+    sendResponse(res, true, "Inventory units updated", inventory);
+  })
+);
+
+router.get(
+  "/admin/inventory/units",
+  protect,
+  authorize("inventory:read"),
+  asyncHandler(async (req, res) => {
+    const inventory = await BloodInventory.find();
+    sendResponse(res, true, "Inventory data", inventory);
+  })
+);
+
+router.put(
+  "/admin/inventory/thresholds",
+  protect,
+  authorize("inventory:configure"),
+  validate(schemas.inventoryThresholds),
+  asyncHandler(async (req, res) => {
+    const { blood_type } = req.body;
+    const update = {};
+    ["low_threshold", "high_threshold"].forEach((field) => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    // a threshold sent alone is checked against the stored (or default) other one
+    const stored = await BloodInventory.findOne({ blood_type });
+    const low =
+      ("low_threshold" in update
+        ? update.low_threshold
+        : stored?.low_threshold) ?? LOW_STOCK_THRESHOLD;
+    const high =
+      ("high_threshold" in update
+        ? update.high_threshold
+        : stored?.high_threshold) ?? HIGH_STOCK_THRESHOLD;
+    if (low >= high) {
+      const field =
+        "low_threshold" in update ? "low_threshold" : "high_threshold";
+      const message = `Low threshold (${low}) must be below high threshold (${high})`;
+      throw new ValidationError(message, {
+        details: { errors: [{ location: "body", field, message }] },
+      });
+    }
+
+    await BloodInventory.findOneAndUpdate({ blood_type }, update, {
+      upsert: true,
+    });
+    const inventory = await refreshInventory(blood_type);
+    sendResponse(res, true, "Inventory thresholds updated", inventory);
+  })
+);
+
+router.get(
+  "/admin/inventory/lots",
+  protect,
+  authorize("inventory:read"),
+  validate(schemas.inventoryLots),
+  asyncHandler(async (req, res) => {
+    const { blood_type, status, component, expiring_within } = req.query;
+    let { bank_id } = req.query;
+    // staff only see their own bank's stock
+    if (req.user.role === "staff") {
+      if (bank_id && bank_id !== String(req.user.bank_id)) {
+        throw new ForbiddenError("You are not assigned to this blood bank", {
+          code: "NOT_OWNER",
+        });
+      }
+      bank_id = String(req.user.bank_id);
+    }
+    const query = {};
+    if (blood_type) query.blood_type = blood_type;
+    if (bank_id) {
+      query.bank_id =
+        bank_id === "central" ? null : new mongoose.Types.ObjectId(bank_id);
+    }
+    if (status) query.status = status;
+    if (component) query.component = component;
+    if (expiring_within !== undefined) {
+      query.expiry_date = {
+        $lte: new Date(Date.now() + expiring_within * 86400000),
+      };
+    }
+
+    const lots = await BloodUnit.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: { lot_number: "$lot_number", status: "$status" },
+          blood_type: { $first: "$blood_type" },
+          component: { $first: "$component" },
+          bank_id: { $first: "$bank_id" },
+          collection_date: { $first: "$collection_date" },
+          expiry_date: { $first: "$expiry_date" },
+          units: { $sum: 1 },
+        },
+      },
+      { $sort: { expiry_date: 1 } },
+    ]);
+
+    sendResponse(
+      res,
+      true,
+      "Inventory lots",
+      lots.map(({ _id, ...lot }) => ({ ...lot, ..._id }))
+    );
+  })
+);
+
+router.post(
+  "/admin/inventory/expire",
+  protect,
+  authorize("inventory:configure"),
+  asyncHandler(async (req, res) => {
+    const expired = await expireUnits();
+    sendResponse(res, true, "Expired units processed", { expired });
+  })
+);
+
+// Shared query handling for the analytics endpoints: from, to and interval
+const readAnalyticsQuery = (query) => {
+  const range = analytics.parseRange(query);
+  if (range.error) return range;
+  return { ...range, interval: query.interval };
+};
+
+router.get(
+  "/admin/analytics/requests",
+  protect,
+  authorize("analytics:read"),
+  validate(schemas.analytics),
+  asyncHandler(async (req, res) => {
+    const options = readAnalyticsQuery(req.query);
+    if (options.error) throw new BadRequestError(options.error);
+
+    const data = await analytics.requestsPerPeriod(options);
+    sendResponse(res, true, "Requests per period", data);
+  })
+);
+
+router.get(
+  "/admin/analytics/fulfilment",
+  protect,
+  authorize("analytics:read"),
+  validate(schemas.analytics),
+  asyncHandler(async (req, res) => {
+    const options = readAnalyticsQuery(req.query);
+    if (options.error) throw new BadRequestError(options.error);
+
+    const data = await analytics.fulfilmentStats(options);
+    sendResponse(res, true, "Fulfilment statistics", data);
+  })
+);
+
+router.get(
+  "/admin/analytics/donations",
+  protect,
+  authorize("analytics:read"),
+  validate(schemas.analytics),
+  asyncHandler(async (req, res) => {
+    const options = readAnalyticsQuery(req.query);
+    if (options.error) throw new BadRequestError(options.error);
+
+    const data = await analytics.donationsPerPeriod(options);
+    sendResponse(res, true, "Donations per period", data);
+  })
+);
+
+router.get(
+  "/admin/analytics/top-donors",
+  protect,
+  authorize("analytics:read"),
+  validate(schemas.topDonors),
+  asyncHandler(async (req, res) => {
+    const options = readAnalyticsQuery(req.query);
+    if (options.error) throw new BadRequestError(options.error);
+    const { limit } = req.query;
+
+    const data = await analytics.topDonors({ ...options, limit });
+    sendResponse(res, true, "Top donors", data);
+  })
+);
+
+router.get(
+  "/admin/analytics/bank-stock",
+  protect,
+  authorize("analytics:read"),
+  validate(schemas.bankStock),
+  asyncHandler(async (req, res) => {
+    const at = req.query.at || new Date();
+
+    const data = await analytics.bankStockSnapshot({ at });
+    sendResponse(res, true, "Blood bank stock snapshot", data);
+  })
+);
+
+router.get(
+  "/admin/export/:resource",
+  protect,
+  authorize("data:transfer"),
+  validate(schemas.exportResource),
+  asyncHandler(async (req, res) => {
+    const { resource } = req.params;
+    const { format } = req.query;
+
+    // errors after streaming has started cut the response, see errorHandler
+    await streamExport(res, resource, format);
+  })
+);
+
+// Accepts a JSON body { rows: [...] } or a text/csv body with a header line
+router.post(
+  "/admin/import/:resource",
+  protect,
+  authorize("data:transfer"),
+  validate(schemas.importResource),
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  asyncHandler(async (req, res) => {
+    const { resource } = req.params;
+    const { dry_run: dryRun } = req.query;
+
+    const rows =
+      typeof req.body === "string" ? parseCsvObjects(req.body) : req.body?.rows;
+    if (!Array.isArray(rows) || !rows.length) {
+      throw new BadRequestError("No rows to import");
+    }
+
+    const result = await runImport(resource, rows, { dryRun });
+    if (result.errors.length) {
+      throw new ValidationError("Import has invalid rows", {
+        code: "INVALID_IMPORT_ROWS",
+        details: result,
+      });
+    }
+    sendResponse(
+      res,
+      true,
+      dryRun ? "Import validated (dry run)" : "Import completed",
+      result
+    );
+  })
 );
 
-module.exports = router;
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,434 @@
+const { User, Notification, OutboundMessage, LoginAttempt, BloodUnit, StockAdjustment } = require('./models');
+const { BLOOD_TYPES, PASSWORD_MIN_LENGTH } = require('./utils');
+const { SHELF_LIFE_DAYS, STOCK_IN_REASONS, STOCK_OUT_REASONS } = require('./inventory');
+const { REQUEST_STATUSES } = require('./lifecycle');
+const { PERIOD_FORMATS } = require('./analytics');
+const { EXPORTS, IMPORTS } = require('./bulk');
+const { TRANSFER_STATUSES } = require('./transfers');
+
+// Request schemas for validate() in validation.js, one per route
+
+const enumOf = (model, path) => model.schema.path(path).enumValues;
+
+const REGIONS = enumOf(User, 'region');
+const ROLES = enumOf(User, 'role');
+const PHONE_PATTERN = /^\+?[0-9][0-9 -]{6,19}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const id = { type: 'objectId', required: true };
+const idParams = { id };
+const bloodType = { type: 'string', enum: BLOOD_TYPES };
+const region = { type: 'string', enum: REGIONS };
+const password = { type: 'string', required: true, minLength: PASSWORD_MIN_LENGTH };
+const fullName = { type: 'string', trim: true, maxLength: 100 };
+const phone = { type: 'string', trim: true, pattern: PHONE_PATTERN, message: 'phone must be a valid phone number' };
+const note = { type: 'string', maxLength: 500, default: '' };
+
+const pagination = (limit = 20) => ({
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: limit },
+});
+
+// Optional hospital/bank/search coordinates; readLocation() turns them into a point
+const coordinates = {
+    latitude: { type: 'number', coerce: true, min: -90, max: 90 },
+    longitude: { type: 'number', coerce: true, min: -180, max: 180 },
+    radius_km: { type: 'number', coerce: true, check: (value) => (value > 0 ? null : 'radius_km must be a positive number') },
+};
+
+const pairedCoordinates = (location) => (req) => {
+    const { latitude, longitude } = req[location];
+    return (latitude === undefined) === (longitude === undefined)
+        ? []
+        : [{ location, field: latitude === undefined ? 'latitude' : 'longitude', message: 'latitude and longitude must be given together' }];
+};
+
+const bankFields = {
+    name: { type: 'string', trim: true, maxLength: 100 },
+    location: { type: 'string', trim: true, maxLength: 200 },
+    contact: { type: 'string', trim: true, maxLength: 100 },
+    opening_hours: { type: 'string', trim: true, maxLength: 200 },
+};
+const BANK_UPDATE_FIELDS = [...Object.keys(bankFields), 'latitude', 'longitude'];
+
+const requestStatus = {
+    params: idParams,
+    body: {
+        status: { type: 'string', required: true, enum: REQUEST_STATUSES },
+        note,
+    },
+};
+
+const analyticsQuery = {
+    from: { type: 'date' },
+    to: { type: 'date' },
+    interval: { type: 'string', enum: Object.keys(PERIOD_FORMATS), default: 'day' },
+};
+
+module.exports = {
+    register: {
+        body: {
+            full_name: { ...fullName, required: true },
+            email: { type: 'email', required: true, trim: true },
+            phone: { ...phone, required: true },
+            password,
+            // admin and staff accounts are created through invites only
+            role: { type: 'string', enum: ['user', 'donor'], default: 'user' },
+            blood_type: { ...bloodType, required: true },
+            region: { ...region, required: true },
+            ...coordinates,
+        },
+        refine: pairedCoordinates('body'),
+    },
+    login: {
+        body: {
+            email: { type: 'string', required: true, trim: true },
+            password: { type: 'string', required: true },
+        },
+    },
+    token: { body: { token: { type: 'string', required: true } } },
+    email: { body: { email: { type: 'string', required: true, trim: true } } },
+    resetPassword: { body: { token: { type: 'string', required: true }, password } },
+    changePassword: {
+        body: {
+            currentPassword: { type: 'string', required: true },
+            newPassword: password,
+        },
+    },
+    acceptInvite: {
+        body: {
+            token: { type: 'string', required: true },
+            full_name: { ...fullName, required: true },
+            phone: { ...phone, required: true },
+            password,
+            blood_type: { ...bloodType, required: true },
+        },
+    },
+    refresh: { body: { refreshToken: { type: 'string', required: true } } },
+    logout: {
+        body: {
+            refreshToken: { type: 'string' },
+            all: { type: 'boolean' },
+        },
+    },
+
+    adminStats: { query: { days: { type: 'integer', min: 1, max: 365, default: 7 } } },
+    predictions: {
+        query: {
+            horizon: { type: 'integer', min: 1, max: 365, default: 30 },
+            history_days: { type: 'integer', min: 7, max: 730, default: 90 },
+            alpha: { type: 'number', default: 0.3, check: (value) => (value > 0 && value <= 1 ? null : 'alpha must be in (0, 1]') },
+            region,
+        },
+    },
+    inventorySearch: {
+        query: {
+            type: bloodType,
+            region: { type: 'string', maxLength: 100 },
+            ...coordinates,
+        },
+        refine: pairedCoordinates('query'),
+    },
+
+    createRequest: {
+        body: {
+            blood_group: { ...bloodType, required: true },
+            region: { ...region, required: true },
+            hospital: { type: 'string', trim: true, maxLength: 200 },
+            notes: { type: 'string', maxLength: 1000 },
+            units: { type: 'integer', coerce: true, min: 1, max: 100, default: 1 },
+            // "Critical" is still accepted from older clients and mapped to the urgency flag
+            status: { type: 'string', enum: ['Pending', 'Critical'], message: 'New requests always start as Pending' },
+            is_critical: { type: 'boolean' },
+            bank_id: { type: 'objectId', nullable: true },
+            ...coordinates,
+        },
+        refine: pairedCoordinates('body'),
+    },
+    requestStatus,
+    requestUrgency: {
+        params: idParams,
+        body: { is_critical: { type: 'boolean', required: true } },
+    },
+    requestById: { params: idParams },
+    respondToRequest: { params: idParams, body: { note } },
+
+    donorSearch: {
+        query: {
+            blood_type: bloodType,
+            name: { type: 'string', maxLength: 100 },
+            region,
+            match: { type: 'string', enum: ['compatible', 'exact'], default: 'compatible' },
+            ...coordinates,
+        },
+        refine: pairedCoordinates('query'),
+    },
+    donate: {
+        body: {
+            units: { type: 'integer', coerce: true, min: 1, max: 10, default: 1 },
+            notes: { type: 'string', maxLength: 500, default: '' },
+            bank_id: { type: 'objectId', nullable: true },
+            component: { type: 'string', enum: Object.keys(SHELF_LIFE_DAYS), default: 'whole_blood' },
+            request_id: { type: 'objectId', nullable: true },
+        },
+    },
+    donorAvailability: { body: { availability: { type: 'boolean', required: true, coerce: true } } },
+
+    notifications: {
+        query: {
+            unread: { type: 'boolean', default: false },
+            type: { type: 'string', enum: enumOf(Notification, 'type') },
+            ...pagination(),
+        },
+    },
+    notificationById: { params: idParams },
+    notificationPreferences: {
+        body: {
+            email: { type: 'boolean' },
+            sms: { type: 'boolean' },
+            quiet_hours: {
+                type: 'object',
+                nullable: true,
+                fields: {
+                    start: { type: 'string', nullable: true, pattern: TIME_PATTERN, message: 'start must be HH:MM' },
+                    end: { type: 'string', nullable: true, pattern: TIME_PATTERN, message: 'end must be HH:MM' },
+                },
+            },
+        },
+        refine: (req) => {
+            const { start = null, end = null } = req.body.quiet_hours || {};
+            return (start === null) === (end === null)
+                ? []
+                : [{ field: 'quiet_hours', message: 'Quiet hours need both start and end, or null to disable' }];
+        },
+    },
+
+    updateProfile: {
+        body: { full_name: fullName, phone, region },
+        // email, role and blood type are changed through their own flows
+        refine: (req) => Object.keys(req.body)
+            .filter((field) => !['full_name', 'phone', 'region'].includes(field))
+            .map((field) => ({ field, message: `${field} cannot be changed here` })),
+    },
+    becomeDonor: { body: { region } },
+    deleteAccount: { body: { password: { type: 'string', required: true } } },
+    updateLocation: {
+        body: {
+            latitude: { ...coordinates.latitude, nullable: true, required: true },
+            longitude: { ...coordinates.longitude, nullable: true, required: true },
+        },
+        refine: (req) => ((req.body.latitude === null) === (req.body.longitude === null)
+            ? []
+            : [{ field: 'latitude', message: 'Send both coordinates, or both as null to clear the location' }]),
+    },
+
+    sendNotification: {
+        body: {
+            title: { type: 'string', required: true, trim: true, maxLength: 200 },
+            message: { type: 'string', required: true, trim: true, maxLength: 2000 },
+            role: { type: 'string', enum: enumOf(Notification, 'role'), default: 'all' },
+            region,
+            blood_type: bloodType,
+        },
+    },
+    listNotifications: {
+        query: { type: { type: 'string', enum: enumOf(Notification, 'type') }, ...pagination() },
+    },
+    outbox: {
+        query: {
+            status: { type: 'string', enum: enumOf(OutboundMessage, 'status') },
+            channel: { type: 'string', enum: enumOf(OutboundMessage, 'channel') },
+            ...pagination(),
+        },
+    },
+    outboxRetry: { params: idParams },
+
+    listUsers: { query: { role: { type: 'string', enum: ROLES }, ...pagination(10) } },
+    updateUser: { params: idParams, body: { role: { type: 'string', required: true, enum: ROLES } } },
+    userById: { params: idParams },
+    createInvite: {
+        body: {
+            email: { type: 'email', required: true, trim: true },
+            role: { type: 'string', required: true, enum: ['admin', 'staff'] },
+            bank_id: { type: 'objectId', nullable: true },
+        },
+        refine: (req) => (req.body.role === 'staff' && !req.body.bank_id
+            ? [{ field: 'bank_id', message: 'Staff invites need a bank_id' }]
+            : []),
+    },
+    inviteById: { params: idParams },
+    roleAudit: { query: { user_id: { type: 'objectId' }, ...pagination() } },
+    loginLocks: {
+        query: {
+            all: { type: 'boolean', default: false },
+            scope: { type: 'string', enum: enumOf(LoginAttempt, 'scope') },
+            ...pagination(),
+        },
+    },
+    loginLockById: { params: idParams },
+
+    createDeferral: {
+        params: idParams,
+        body: {
+            type: { type: 'string', required: true, enum: ['temporary', 'permanent'] },
+            reason: { type: 'string', required: true, trim: true, maxLength: 500 },
+            expires_at: { type: 'date', nullable: true },
+        },
+        refine: (req) => (req.body.type === 'temporary' && !(req.body.expires_at > new Date())
+            ? [{ field: 'expires_at', message: 'Temporary deferrals need a future expires_at date' }]
+            : []),
+    },
+    deferralById: { params: { id, deferralId: id } },
+
+    createBank: {
+        body: {
+            name: { ...bankFields.name, required: true },
+            location: { ...bankFields.location, required: true },
+            contact: bankFields.contact,
+            opening_hours: bankFields.opening_hours,
+            ...coordinates,
+        },
+        refine: pairedCoordinates('body'),
+    },
+    listBanks: { query: { active: { type: 'boolean' } } },
+    bankById: { params: idParams },
+    updateBank: {
+        params: idParams,
+        body: { ...bankFields, latitude: coordinates.latitude, longitude: coordinates.longitude },
+        // stock goes through /stock, activation through the admin endpoints
+        refine: (req) => [
+            ...pairedCoordinates('body')(req),
+            ...Object.keys(req.body)
+                .filter((field) => !BANK_UPDATE_FIELDS.includes(field))
+                .map((field) => ({ field, message: `${field} cannot be changed here` })),
+        ],
+    },
+    adjustStock: {
+        params: idParams,
+        body: {
+            blood_type: { ...bloodType, required: true },
+            change: {
+                type: 'integer',
+                required: true,
+                min: -1000,
+                max: 1000,
+                check: (value) => (value !== 0 ? null : 'change cannot be 0'),
+            },
+            reason: { type: 'string', required: true, enum: enumOf(StockAdjustment, 'reason') },
+            component: { type: 'string', enum: Object.keys(SHELF_LIFE_DAYS) },
+            note,
+        },
+        refine: (req) => {
+            const { change, reason } = req.body;
+            const reasons = change > 0 ? STOCK_IN_REASONS : Object.keys(STOCK_OUT_REASONS);
+            return reasons.includes(reason)
+                ? []
+                : [{ field: 'reason', message: `Stock ${change > 0 ? 'added' : 'removed'} needs one of ${reasons.join(', ')}` }];
+        },
+    },
+    stockAdjustments: {
+        params: idParams,
+        query: {
+            blood_type: bloodType,
+            reason: { type: 'string', enum: enumOf(StockAdjustment, 'reason') },
+            ...pagination(),
+        },
+    },
+    bankRequests: {
+        params: idParams,
+        query: { status: { type: 'string', enum: REQUEST_STATUSES }, ...pagination() },
+    },
+    bankInventory: {
+        params: idParams,
+        body: {
+            available_units: {
+                type: 'object',
+                default: () => ({}),
+                keys: BLOOD_TYPES,
+                values: { type: 'integer', required: true, min: 0 },
+            },
+        },
+    },
+    inventoryUnits: {
+        body: {
+            blood_type: { ...bloodType, required: true },
+            units: { type: 'integer', required: true, min: 0 },
+            bank_id: { type: 'objectId', nullable: true },
+        },
+    },
+    inventoryThresholds: {
+        body: {
+            blood_type: { ...bloodType, required: true },
+            // an omitted threshold keeps its stored value, null falls back to the default
+            low_threshold: { type: 'integer', nullable: true, min: 0 },
+            high_threshold: { type: 'integer', nullable: true, min: 0 },
+        },
+        refine: (req) => {
+            const { low_threshold: low, high_threshold: high } = req.body;
+            return low != null && high != null && low >= high
+                ? [{ field: 'low_threshold', message: 'low_threshold must be below high_threshold' }]
+                : [];
+        },
+    },
+    inventoryLots: {
+        query: {
+            blood_type: bloodType,
+            // "central" selects units held outside any bank
+            bank_id: { type: 'objectId', allow: ['central'] },
+            status: { type: 'string', enum: enumOf(BloodUnit, 'status') },
+            component: { type: 'string', enum: Object.keys(SHELF_LIFE_DAYS) },
+            expiring_within: { type: 'integer', min: 0 },
+        },
+    },
+
+    createTransfer: {
+        params: idParams,
+        body: {
+            from_bank_id: id,
+            blood_type: { ...bloodType, required: true },
+            units: { type: 'integer', required: true, coerce: true, min: 1, max: 500 },
+            component: { type: 'string', enum: Object.keys(SHELF_LIFE_DAYS) },
+            note,
+        },
+        refine: (req) => (req.body.from_bank_id === req.params.id
+            ? [{ field: 'from_bank_id', message: 'A bank cannot request a transfer from itself' }]
+            : []),
+    },
+    bankTransfers: {
+        params: idParams,
+        query: {
+            direction: { type: 'string', enum: ['incoming', 'outgoing'] },
+            status: { type: 'string', enum: TRANSFER_STATUSES },
+            ...pagination(),
+        },
+    },
+    transferById: { params: idParams },
+    transferStatus: {
+        params: idParams,
+        body: {
+            status: { type: 'string', required: true, enum: TRANSFER_STATUSES },
+            note,
+        },
+    },
+    listTransfers: {
+        query: {
+            status: { type: 'string', enum: TRANSFER_STATUSES },
+            blood_type: bloodType,
+            bank_id: { type: 'objectId' },
+            ...pagination(),
+        },
+    },
+    transferSuggestions: { query: { blood_type: bloodType } },
+
+    analytics: { query: analyticsQuery },
+    topDonors: { query: { ...analyticsQuery, limit: { type: 'integer', min: 1, max: 100, default: 10 } } },
+    bankStock: { query: { at: { type: 'date' } } },
+    exportResource: {
+        params: { resource: { type: 'string', required: true, enum: Object.keys(EXPORTS) } },
+        query: { format: { type: 'string', enum: ['csv', 'json'], default: 'csv' } },
+    },
+    importResource: {
+        params: { resource: { type: 'string', required: true, enum: Object.keys(IMPORTS) } },
+        query: { dry_run: { type: 'boolean', default: false } },
+    },
+};
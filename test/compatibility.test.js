@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { BLOOD_TYPES, compatibleDonorTypes, compatibleRecipientTypes, compatibilityRank } = require('../utils');
+
+// ABO and RhD antigens per type; a donor may give when they carry none the recipient lacks
+const ANTIGENS = {
+    'O-': [], 'O+': ['D'], 'A-': ['A'], 'A+': ['A', 'D'],
+    'B-': ['B'], 'B+': ['B', 'D'], 'AB-': ['A', 'B'], 'AB+': ['A', 'B', 'D'],
+};
+const canGive = (donor, recipient) => ANTIGENS[donor].every((antigen) => ANTIGENS[recipient].includes(antigen));
+
+describe('red cell compatibility', () => {
+    it('matches the ABO/Rh antigen rule for every pair', () => {
+        for (const recipient of BLOOD_TYPES) {
+            const expected = BLOOD_TYPES.filter((donor) => canGive(donor, recipient));
+            assert.deepEqual([...compatibleDonorTypes(recipient)].sort(), expected.sort(), recipient);
+        }
+    });
+
+    it('prefers the exact type and falls back to O- last', () => {
+        for (const recipient of BLOOD_TYPES) {
+            const donors = compatibleDonorTypes(recipient);
+            assert.equal(donors[0], recipient);
+            assert.equal(donors[donors.length - 1], 'O-');
+        }
+    });
+
+    it('lists who a donor can give to', () => {
+        assert.deepEqual(compatibleRecipientTypes('O-'), BLOOD_TYPES);
+        assert.deepEqual(compatibleRecipientTypes('AB+'), ['AB+']);
+        assert.deepEqual(compatibleRecipientTypes('A-'), ['A+', 'A-', 'AB+', 'AB-']);
+    });
+
+    it('ranks donors by preference, -1 when they cannot give', () => {
+        assert.equal(compatibilityRank('A+', 'A+'), 0);
+        assert.equal(compatibilityRank('O-', 'A+'), 3);
+        assert.equal(compatibilityRank('B+', 'A+'), -1);
+        assert.equal(compatibilityRank('O+', 'unknown'), -1);
+    });
+});
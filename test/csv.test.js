@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsvLine, parseCsv, parseCsvObjects } = require('../csv');
+
+describe('csv', () => {
+    it('quotes separators, quotes and line breaks', () => {
+        assert.equal(toCsvLine(['a,b', 'say "hi"', 'two\nlines', null, 3]), '"a,b","say ""hi""","two\nlines",,3\n');
+    });
+
+    it('defuses text a spreadsheet would run as a formula', () => {
+        assert.equal(
+            toCsvLine(['=HYPERLINK("x")', '+4412', '-1', '@SUM(A1)', '\tcmd']),
+            `"'=HYPERLINK(""x"")",'+4412,'-1,'@SUM(A1),'\tcmd\n`
+        );
+    });
+
+    it('leaves numbers and dates alone', () => {
+        const date = new Date('2026-01-02T03:04:05Z');
+        assert.equal(toCsvLine([-5, date]), '-5,2026-01-02T03:04:05.000Z\n');
+    });
+
+    it('reads back what it writes', () => {
+        const values = ['a,b', 'say "hi"', 'two\nlines'];
+        assert.deepEqual(parseCsv(toCsvLine(values)), [values]);
+    });
+
+    it('imports exported cells back unchanged', () => {
+        const bank = { name: 'City', contact: '+91 98765 43210', note: '=1+1', quoted: "'plain" };
+        const text = toCsvLine(Object.keys(bank)) + toCsvLine(Object.values(bank));
+        assert.deepEqual(parseCsvObjects(text), [bank]);
+    });
+
+    it('maps rows to the trimmed header and skips blank lines', () => {
+        assert.deepEqual(parseCsvObjects(' name , units\r\nNorth, 4\r\n\r\nSouth,\r\n'), [
+            { name: 'North', units: '4' },
+            { name: 'South', units: '' },
+        ]);
+    });
+});
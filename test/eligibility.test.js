@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DONATION_INTERVAL_DAYS, getDonorEligibility } = require('../utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T12:00:00Z');
+const daysFromNow = (days) => new Date(now.getTime() + days * DAY_MS);
+
+describe('getDonorEligibility', () => {
+    it('clears a donor with no donations or deferrals', () => {
+        assert.deepEqual(getDonorEligibility({}, now), { eligible: true, permanent: false, eligible_on: null, reasons: [] });
+    });
+
+    it('waits out the donation interval', () => {
+        const result = getDonorEligibility({ last_donation_date: daysFromNow(-10) }, now);
+        assert.equal(result.eligible, false);
+        assert.deepEqual(result.eligible_on, daysFromNow(DONATION_INTERVAL_DAYS - 10));
+        assert.equal(result.reasons.length, 1);
+
+        assert.equal(getDonorEligibility({ last_donation_date: daysFromNow(-DONATION_INTERVAL_DAYS) }, now).eligible, true);
+    });
+
+    it('counts only deferrals that are neither lifted nor over', () => {
+        const result = getDonorEligibility({
+            deferrals: [
+                { type: 'temporary', reason: 'Travel', expires_at: daysFromNow(-1) },
+                { type: 'temporary', reason: 'Lifted', expires_at: daysFromNow(30), lifted_at: daysFromNow(-2) },
+                { type: 'temporary', reason: 'Low haemoglobin', expires_at: daysFromNow(20) },
+            ],
+        }, now);
+        assert.equal(result.eligible, false);
+        assert.deepEqual(result.reasons, ['Low haemoglobin']);
+        assert.deepEqual(result.eligible_on, daysFromNow(20));
+    });
+
+    it('is eligible again on the latest of the interval and the deferrals', () => {
+        const result = getDonorEligibility({
+            last_donation_date: daysFromNow(-1),
+            deferrals: [{ type: 'temporary', reason: 'Medication', expires_at: daysFromNow(DONATION_INTERVAL_DAYS + 5) }],
+        }, now);
+        assert.deepEqual(result.eligible_on, daysFromNow(DONATION_INTERVAL_DAYS + 5));
+        assert.equal(result.reasons.length, 2);
+    });
+
+    it('has no eligibility date under a permanent deferral', () => {
+        const result = getDonorEligibility({
+            deferrals: [
+                { type: 'permanent', reason: 'Medical history' },
+                { type: 'temporary', reason: 'Travel', expires_at: daysFromNow(5) },
+            ],
+        }, now);
+        assert.equal(result.eligible, false);
+        assert.equal(result.permanent, true);
+        assert.equal(result.eligible_on, null);
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { publish, subscribe } = require('../events');
+const { objectId } = require('./helpers');
+
+const bankId = objectId();
+
+// Opens a stream for `user` and collects the event types written to it
+const connect = (user) => {
+    const req = Object.assign(new EventEmitter(), { headers: {}, query: {} });
+    const types = [];
+    const res = {
+        writeHead: () => {},
+        write: (chunk) => {
+            const match = /^event: (.+)$/m.exec(chunk);
+            if (match) types.push(match[1]);
+        },
+        end: () => {},
+    };
+    subscribe(req, res, user);
+    return { types, close: () => req.emit('close') };
+};
+
+describe('event streams', () => {
+    const streams = [];
+    const open = (user) => {
+        const stream = connect(user);
+        streams.push(stream);
+        return stream;
+    };
+    afterEach(() => streams.splice(0).forEach((stream) => stream.close()));
+
+    it('reaches staff of the banks in the audience', () => {
+        const staff = open({ id: String(objectId()), role: 'staff', bank_id: bankId });
+        const otherStaff = open({ id: String(objectId()), role: 'staff', bank_id: objectId() });
+
+        publish('transfer.status', {}, { roles: ['admin'], banks: [bankId] });
+
+        assert.deepEqual(staff.types, ['transfer.status']);
+        assert.deepEqual(otherStaff.types, []);
+    });
+
+    it('ignores a bank left on an account that is no longer staff', () => {
+        const former = open({ id: String(objectId()), role: 'user', region: 'North', bank_id: bankId });
+
+        publish('transfer.status', {}, { roles: ['admin'], banks: [bankId] });
+
+        assert.deepEqual(former.types, []);
+    });
+
+    it('pairs role and region', () => {
+        const north = open({ id: String(objectId()), role: 'donor', region: 'North' });
+        const south = open({ id: String(objectId()), role: 'donor', region: 'South' });
+
+        publish('request.status', {}, { users: [], roles: ['admin'], role: 'donor', region: 'North' });
+
+        assert.deepEqual(north.types, ['request.status']);
+        assert.deepEqual(south.types, []);
+    });
+});
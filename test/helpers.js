@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { mock } = require('node:test');
+const { BloodUnit, BloodBank, BloodInventory } = require('../models');
+
+// The tests run without a MongoDB server: model methods are stubbed per test and
+// restored by mock.restoreAll() in afterEach.
+
+// Stands in for a mongoose Query: chainable, and awaiting it yields `result`
+const query = (result) => {
+    const chain = {
+        then: (resolve, reject) => Promise.resolve(typeof result === 'function' ? result() : result).then(resolve, reject),
+    };
+    ['sort', 'limit', 'skip', 'select', 'session', 'lean', 'populate'].forEach((name) => {
+        chain[name] = () => chain;
+    });
+    return chain;
+};
+
+// withTransaction() runs the work once with a fake session
+const stubTransactions = () => {
+    const session = {
+        withTransaction: async (work) => work(session),
+        endSession: async () => {},
+    };
+    mock.method(mongoose, 'startSession', async () => session);
+    return session;
+};
+
+// refreshInventory() recounts nothing and reports a well stocked blood type, so no alerts go out
+const stubStockRefresh = () => {
+    mock.method(BloodUnit, 'aggregate', async () => []);
+    mock.method(BloodBank, 'updateMany', async () => ({}));
+    mock.method(BloodBank, 'updateOne', async () => ({}));
+    mock.method(BloodInventory, 'findOneAndUpdate', async (filter) => {
+        const inventory = { blood_type: filter.blood_type, available_units: 100, status: 'High' };
+        inventory.save = async () => inventory;
+        return inventory;
+    });
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = { query, stubTransactions, stubStockRefresh, objectId };
@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { BloodBank, BloodUnit } = require('../models');
+const { reserveForRequest, fulfilRequest, releaseReservation } = require('../inventory');
+const { query, objectId } = require('./helpers');
+
+const makeRequest = (fields = {}) => ({
+    _id: objectId(), blood_group: 'O-', units: 3, bank_id: objectId(), status: 'Approved', ...fields,
+});
+
+const units = (count) => Array.from({ length: count }, () => ({ _id: objectId() }));
+
+describe('inventory reservation', () => {
+    const session = {};
+
+    beforeEach(() => {
+        mock.method(BloodUnit, 'updateMany', async () => ({ modifiedCount: 0 }));
+    });
+    afterEach(() => mock.restoreAll());
+
+    describe('reserveForRequest', () => {
+        it('reserves the soonest-expiring unexpired units of the request bank', async () => {
+            const available = units(3);
+            mock.method(BloodUnit, 'countDocuments', () => query(0));
+            mock.method(BloodUnit, 'find', () => query(available));
+            const request = makeRequest();
+
+            await reserveForRequest(request, session);
+
+            const [filter] = BloodUnit.find.mock.calls[0].arguments;
+            assert.equal(filter.blood_type, 'O-');
+            assert.equal(filter.bank_id, request.bank_id);
+            assert.equal(filter.status, 'available');
+            assert.ok(filter.expiry_date.$gt instanceof Date);
+
+            const [target, update, options] = BloodUnit.updateMany.mock.calls[0].arguments;
+            assert.deepEqual(target._id.$in, available.map((u) => u._id));
+            assert.equal(update.status, 'reserved');
+            assert.equal(update.request_id, request._id);
+            assert.equal(options.session, session);
+        });
+
+        it('draws a request without a bank from active banks and the central stock only', async () => {
+            const activeBanks = [objectId(), objectId()];
+            mock.method(BloodBank, 'distinct', () => query(activeBanks));
+            mock.method(BloodUnit, 'countDocuments', () => query(0));
+            mock.method(BloodUnit, 'find', () => query(units(3)));
+
+            await reserveForRequest(makeRequest({ bank_id: null }), session);
+
+            assert.deepEqual(BloodBank.distinct.mock.calls[0].arguments, ['_id', { active: { $ne: false } }]);
+            assert.deepEqual(BloodUnit.find.mock.calls[0].arguments[0].bank_id, { $in: [...activeBanks, null] });
+        });
+
+        it('only tops up what is not held yet', async () => {
+            mock.method(BloodUnit, 'countDocuments', () => query(2));
+            mock.method(BloodUnit, 'find', () => query(units(1)));
+
+            await reserveForRequest(makeRequest(), session);
+
+            assert.equal(BloodUnit.updateMany.mock.calls[0].arguments[0]._id.$in.length, 1);
+        });
+
+        it('fails with INSUFFICIENT_STOCK and reserves nothing when stock is short', async () => {
+            mock.method(BloodUnit, 'countDocuments', () => query(0));
+            mock.method(BloodUnit, 'find', () => query(units(1)));
+
+            await assert.rejects(reserveForRequest(makeRequest(), session), {
+                status: 409,
+                code: 'INSUFFICIENT_STOCK',
+                details: { needed: 3, available: 1 },
+            });
+            assert.equal(BloodUnit.updateMany.mock.callCount(), 0);
+        });
+    });
+
+    describe('fulfilRequest', () => {
+        it('writes off expired reservations and replaces them before using the units', async () => {
+            // one of the three reserved units expired since approval
+            mock.method(BloodUnit, 'countDocuments', () => query(2));
+            mock.method(BloodUnit, 'find', () => query(units(1)));
+            const request = makeRequest();
+
+            await fulfilRequest(request, session);
+
+            const updates = BloodUnit.updateMany.mock.calls.map((call) => call.arguments);
+            assert.equal(updates.length, 3);
+            assert.equal(updates[0][0].status, 'reserved');
+            assert.ok(updates[0][0].expiry_date.$lte instanceof Date);
+            assert.equal(updates[0][1].status, 'expired');
+            assert.equal(updates[1][1].status, 'reserved');
+            assert.deepEqual(updates[2][0], { request_id: request._id, status: 'reserved' });
+            assert.equal(updates[2][1].status, 'used');
+            assert.ok(updates.every(([, , options]) => options.session === session));
+        });
+
+        it('does not use any unit when no replacement is in stock', async () => {
+            mock.method(BloodUnit, 'countDocuments', () => query(2));
+            mock.method(BloodUnit, 'find', () => query([]));
+
+            await assert.rejects(fulfilRequest(makeRequest(), session), { code: 'INSUFFICIENT_STOCK' });
+            const statuses = BloodUnit.updateMany.mock.calls.map((call) => call.arguments[1].status);
+            assert.ok(!statuses.includes('used'));
+        });
+    });
+
+    it('releases the reserved units back into stock', async () => {
+        const request = makeRequest({ status: 'Cancelled' });
+
+        await releaseReservation(request, session);
+
+        const [filter, update] = BloodUnit.updateMany.mock.calls[0].arguments;
+        assert.deepEqual(filter, { request_id: request._id, status: 'reserved' });
+        assert.deepEqual(update, { status: 'available', request_id: null, reserved_at: null });
+    });
+});
@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { BloodUnit, Request } = require('../models');
+const { allowedTransitions, transitionRequest } = require('../lifecycle');
+const { query, stubTransactions, stubStockRefresh, objectId } = require('./helpers');
+
+const bankId = objectId();
+const requesterId = objectId();
+const requester = { id: String(requesterId), role: 'user', region: 'North' };
+const staff = { id: String(objectId()), role: 'staff', bank_id: bankId };
+const otherStaff = { id: String(objectId()), role: 'staff', bank_id: objectId() };
+const donor = { id: String(objectId()), role: 'donor', region: 'North' };
+
+const makeRequest = (fields = {}) => ({
+    _id: objectId(),
+    requester_id: requesterId,
+    bank_id: bankId,
+    blood_group: 'A+',
+    units: 2,
+    region: 'North',
+    status: 'Pending',
+    history: [],
+    ...fields,
+});
+
+// The stored request after a successful claim: the update applied to `request`
+const claimed = (request, update) => ({
+    ...request,
+    ...update.$set,
+    history: [...request.history, update.$push.history],
+});
+
+describe('request transitions', () => {
+    afterEach(() => mock.restoreAll());
+
+    describe('allowedTransitions', () => {
+        it('lets staff of the request bank approve or cancel a pending request', () => {
+            assert.deepEqual(allowedTransitions(makeRequest(), staff), ['Approved', 'Cancelled']);
+        });
+
+        it('gives staff of another bank nothing', () => {
+            assert.deepEqual(allowedTransitions(makeRequest(), otherStaff), []);
+        });
+
+        it('gives donors nothing, even in the request region', () => {
+            assert.deepEqual(allowedTransitions(makeRequest(), donor), []);
+        });
+
+        it('lets the requester cancel, whatever their role is now', () => {
+            assert.deepEqual(allowedTransitions(makeRequest(), requester), ['Cancelled']);
+            assert.deepEqual(allowedTransitions(makeRequest(), { ...requester, role: 'donor' }), ['Cancelled']);
+        });
+
+        it('closes finished requests', () => {
+            assert.deepEqual(allowedTransitions(makeRequest({ status: 'Fulfilled' }), staff), []);
+        });
+    });
+
+    describe('transitionRequest', () => {
+        let session;
+        let stored;
+
+        beforeEach(() => {
+            session = stubTransactions();
+            stubStockRefresh();
+            mock.method(Request, 'findOneAndUpdate', async (filter, update) => {
+                return stored && stored.status === filter.status ? claimed(stored, update) : null;
+            });
+            mock.method(BloodUnit, 'countDocuments', () => query(0));
+            mock.method(BloodUnit, 'find', () => query([{ _id: objectId() }, { _id: objectId() }]));
+            mock.method(BloodUnit, 'updateMany', async () => ({ modifiedCount: 2 }));
+        });
+
+        it('rejects unknown statuses', async () => {
+            await assert.rejects(transitionRequest(makeRequest(), 'Lost', staff), { status: 400 });
+        });
+
+        it('rejects moves the lifecycle does not allow', async () => {
+            await assert.rejects(
+                transitionRequest(makeRequest({ status: 'Cancelled' }), 'Approved', staff),
+                { status: 409, code: 'INVALID_TRANSITION' }
+            );
+        });
+
+        it('rejects actors who may not make the move', async () => {
+            await assert.rejects(transitionRequest(makeRequest(), 'Approved', requester), { status: 403 });
+            assert.equal(Request.findOneAndUpdate.mock.callCount(), 0);
+        });
+
+        it('claims the status, reserves stock and records the move on approval', async () => {
+            stored = makeRequest();
+            const approvedBy = { name: 'Staff', phone: '1' };
+            const updated = await transitionRequest(stored, 'Approved', staff, 'ok', { approved_by: approvedBy });
+
+            const [filter, update, options] = Request.findOneAndUpdate.mock.calls[0].arguments;
+            assert.deepEqual(filter, { _id: stored._id, status: 'Pending' });
+            assert.equal(options.session, session);
+            assert.equal(updated.status, 'Approved');
+            assert.deepEqual(updated.approved_by, approvedBy);
+            assert.equal(update.$push.history.from, 'Pending');
+            assert.equal(update.$push.history.to, 'Approved');
+            assert.equal(update.$push.history.actor, staff.id);
+            assert.equal(update.$push.history.note, 'ok');
+
+            const [, unitUpdate, unitOptions] = BloodUnit.updateMany.mock.calls[0].arguments;
+            assert.equal(unitUpdate.status, 'reserved');
+            assert.equal(unitOptions.session, session);
+        });
+
+        it('answers REQUEST_CONFLICT and moves no stock when somebody moved it first', async () => {
+            // a double click: the first call already fulfilled the stored request
+            stored = makeRequest({ status: 'Fulfilled' });
+            await assert.rejects(
+                transitionRequest(makeRequest({ _id: stored._id, status: 'Approved' }), 'Fulfilled', staff),
+                { status: 409, code: 'REQUEST_CONFLICT' }
+            );
+            assert.equal(BloodUnit.updateMany.mock.callCount(), 0);
+        });
+
+        it('stamps fulfilment', async () => {
+            stored = makeRequest({ status: 'Approved' });
+            const updated = await transitionRequest(stored, 'Fulfilled', staff);
+            assert.ok(updated.fulfilled_at instanceof Date);
+        });
+
+        it('lets the system expire a request', async () => {
+            stored = makeRequest({ status: 'Approved' });
+            const updated = await transitionRequest(stored, 'Expired', null, 'Too old');
+
+            assert.equal(updated.status, 'Expired');
+            assert.equal(updated.history[0].actor, null);
+            const [filter, update] = BloodUnit.updateMany.mock.calls[0].arguments;
+            assert.deepEqual(filter, { request_id: stored._id, status: 'reserved' });
+            assert.equal(update.status, 'available');
+        });
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { User, Notification, NotificationDelivery } = require('../models');
+const { migrateNotificationDeliveries } = require('../notifications');
+const { query, objectId } = require('./helpers');
+
+describe('migrateNotificationDeliveries', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('only picks notifications that still carry the old shared isRead flag', async () => {
+        mock.method(Notification, 'find', () => query([]));
+
+        assert.equal(await migrateNotificationDeliveries(), 0);
+        assert.deepEqual(Notification.find.mock.calls[0].arguments[0], { isRead: { $exists: true } });
+    });
+
+    it('copies each legacy notification to its audience once', async () => {
+        const createdAt = new Date('2024-05-01');
+        const legacy = [
+            { _id: objectId(), role: 'donor', region: 'North', type: 'request', isRead: true, createdAt },
+            { _id: objectId(), role: 'all', isRead: false, createdAt },
+        ];
+        const recipients = [objectId(), objectId()];
+        mock.method(Notification, 'find', () => query(legacy));
+        mock.method(User, 'find', (filter) => ({ distinct: async () => (filter.role === 'donor' ? recipients : []) }));
+        mock.method(NotificationDelivery, 'insertMany', async (docs) => docs);
+        mock.method(Notification.collection, 'updateOne', async () => ({}));
+        mock.method(console, 'log', () => {});
+
+        assert.equal(await migrateNotificationDeliveries(), 2);
+
+        const [docs] = NotificationDelivery.insertMany.mock.calls[0].arguments;
+        assert.deepEqual(docs.map((d) => d.recipient), recipients);
+        assert.ok(docs.every((d) => d.isRead && d.readAt === createdAt && d.type === 'request'));
+        // the flag goes from both, also the one nobody matches any more
+        assert.deepEqual(
+            Notification.collection.updateOne.mock.calls.map((call) => call.arguments),
+            legacy.map((n) => [{ _id: n._id }, { $unset: { isRead: '' } }])
+        );
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Request, BloodBank } = require('../models');
+const { ROLE_PERMISSIONS, hasPermission, canAccess, authorize, loadOwned } = require('../permissions');
+const { query, objectId } = require('./helpers');
+
+const bankId = objectId();
+const otherBankId = objectId();
+const staff = { id: String(objectId()), role: 'staff', bank_id: bankId };
+const donor = { id: String(objectId()), role: 'donor', region: 'North' };
+const requester = { id: String(objectId()), role: 'user', region: 'North' };
+const admin = { id: String(objectId()), role: 'admin' };
+
+const request = { _id: objectId(), requester_id: requester.id, bank_id: bankId, region: 'North', status: 'Pending' };
+
+// Runs a middleware and resolves with whatever it passed to next()
+const run = (middleware, req) => new Promise((resolve) => {
+    middleware(req, {}, (err) => resolve(err || null));
+});
+
+describe('permissions', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('gives admins every permission', () => {
+        assert.ok(hasPermission(admin, 'bank:delete'));
+        assert.ok(hasPermission(admin, 'transfer:manage'));
+    });
+
+    it('leaves approval to staff and admins', () => {
+        assert.ok(!ROLE_PERMISSIONS.donor.includes('request:approve'));
+        assert.ok(!ROLE_PERMISSIONS.user.includes('request:approve'));
+        assert.ok(hasPermission(staff, 'request:approve'));
+    });
+
+    it('scopes staff to their own bank', () => {
+        assert.ok(canAccess('bank', staff, { _id: bankId }));
+        assert.ok(!canAccess('bank', staff, { _id: otherBankId }));
+        // null is the central stock
+        assert.ok(!canAccess('bank', staff, null));
+        assert.ok(canAccess('bank', admin, null));
+    });
+
+    it('lets requesters, bank staff and donors of the region see a request', () => {
+        assert.ok(canAccess('request', requester, request));
+        assert.ok(canAccess('request', staff, request));
+        assert.ok(canAccess('request', donor, request));
+        assert.ok(!canAccess('request', { ...donor, region: 'South' }, request));
+        assert.ok(!canAccess('request', { ...staff, bank_id: otherBankId }, request));
+    });
+
+    describe('authorize', () => {
+        it('rejects unknown permissions when routes are declared', () => {
+            assert.throws(() => authorize('request:teleport'), /Unknown permission/);
+        });
+
+        it('passes when any of the permissions is held', async () => {
+            assert.equal(await run(authorize('request:fulfil', 'request:cancel'), { user: requester }), null);
+        });
+
+        it('answers 403 PERMISSION_DENIED otherwise', async () => {
+            const err = await run(authorize('inventory:write'), { user: donor });
+            assert.equal(err.status, 403);
+            assert.equal(err.code, 'PERMISSION_DENIED');
+        });
+    });
+
+    describe('loadOwned', () => {
+        it('loads the resource for its owner', async () => {
+            mock.method(Request, 'findById', () => query(request));
+            const req = { user: requester, params: { id: String(request._id) } };
+
+            assert.equal(await run(loadOwned('request'), req), null);
+            assert.equal(req.resource, request);
+        });
+
+        it('answers 403 NOT_OWNER for somebody else', async () => {
+            mock.method(Request, 'findById', () => query(request));
+            const err = await run(loadOwned('request'), {
+                user: { id: String(objectId()), role: 'user' },
+                params: { id: String(request._id) },
+            });
+            assert.equal(err.status, 403);
+            assert.equal(err.code, 'NOT_OWNER');
+        });
+
+        it('answers 404 when the resource does not exist', async () => {
+            mock.method(BloodBank, 'findById', () => query(null));
+            const err = await run(loadOwned('bank'), { user: admin, params: { id: String(objectId()) } });
+            assert.equal(err.status, 404);
+        });
+
+        it('treats a missing bank id as the central stock', async () => {
+            const getId = (req) => req.body.bank_id;
+            assert.equal(await run(loadOwned('bank', getId), { user: admin, body: { bank_id: null } }), null);
+
+            const err = await run(loadOwned('bank', getId), { user: staff, body: { bank_id: null } });
+            assert.equal(err.code, 'NOT_OWNER');
+        });
+    });
+});
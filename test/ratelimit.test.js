@@ -0,0 +1,97 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { LoginAttempt } = require('../models');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../ratelimit');
+const { query } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+
+// An in-memory LoginAttempt collection covering the queries ratelimit.js makes
+const stubAttempts = () => {
+    const attempts = new Map();
+    mock.method(LoginAttempt, 'updateOne', async (filter, update) => {
+        const attempt = attempts.get(filter.key);
+        if (attempt && attempt.window_start <= filter.window_start.$lte) Object.assign(attempt, update);
+        return {};
+    });
+    mock.method(LoginAttempt, 'findOneAndUpdate', async (filter, update) => {
+        let attempt = attempts.get(filter.key);
+        if (!attempt) {
+            attempt = { key: filter.key, failures: 0, locked_until: null, ...update.$setOnInsert };
+            attempt.save = async () => attempt;
+            attempts.set(filter.key, attempt);
+        }
+        attempt.failures += update.$inc.failures;
+        Object.assign(attempt, update.$set);
+        return attempt;
+    });
+    mock.method(LoginAttempt, 'find', (filter) => query(
+        [...attempts.values()].filter((a) => filter.key.$in.includes(a.key) && a.locked_until > filter.locked_until.$gt)
+    ));
+    mock.method(LoginAttempt, 'deleteOne', async (filter) => attempts.delete(filter.key));
+    return attempts;
+};
+
+const fail = async (identity, times) => {
+    for (let i = 0; i < times; i++) await recordLoginFailure(identity);
+};
+
+describe('login rate limiting', () => {
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    const identity = { ip: '10.0.0.1', email: 'Ana@Example.com' };
+
+    it('locks the account after five failures and says for how long', async () => {
+        const attempts = stubAttempts();
+        await fail(identity, 4);
+        assert.deepEqual(await checkLoginAllowed(identity), { allowed: true });
+
+        await fail(identity, 1);
+        const result = await checkLoginAllowed(identity);
+        assert.equal(result.allowed, false);
+        assert.equal(result.scope, 'email');
+        assert.ok(result.retryAfter > 14 * 60 && result.retryAfter <= 15 * 60);
+        // the counter starts over for the next window
+        assert.equal(attempts.get('email:ana@example.com').failures, 0);
+    });
+
+    it('locks the same account whatever case the email is typed in', async () => {
+        stubAttempts();
+        await fail({ email: 'ANA@example.com' }, 5);
+        assert.equal((await checkLoginAllowed({ email: 'ana@EXAMPLE.com' })).allowed, false);
+    });
+
+    it('forgets failures once the window has passed', async () => {
+        mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T00:00:00Z') });
+        const attempts = stubAttempts();
+        await fail(identity, 4);
+
+        mock.timers.tick(16 * MINUTE_MS);
+        await fail(identity, 1);
+
+        assert.equal(attempts.get('email:ana@example.com').failures, 1);
+        assert.deepEqual(await checkLoginAllowed(identity), { allowed: true });
+    });
+
+    it('throttles an IP across accounts', async () => {
+        stubAttempts();
+        for (let i = 0; i < 20; i++) await recordLoginFailure({ ip: '10.0.0.2', email: `user${i}@example.com` });
+
+        const result = await checkLoginAllowed({ ip: '10.0.0.2', email: 'someone@example.com' });
+        assert.equal(result.allowed, false);
+        assert.equal(result.scope, 'ip');
+    });
+
+    it('clears the account counter on success but keeps the IP one', async () => {
+        const attempts = stubAttempts();
+        await fail(identity, 3);
+
+        await recordLoginSuccess(identity);
+
+        assert.equal(attempts.has('email:ana@example.com'), false);
+        assert.equal(attempts.get('ip:10.0.0.1').failures, 3);
+    });
+});
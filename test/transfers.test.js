@@ -0,0 +1,155 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { BloodBank, BloodUnit, Transfer } = require('../models');
+const { allowedTransferTransitions, transitionTransfer } = require('../transfers');
+const { query, stubTransactions, stubStockRefresh, objectId } = require('./helpers');
+
+const fromBank = objectId();
+const toBank = objectId();
+const sourceStaff = { id: String(objectId()), role: 'staff', bank_id: fromBank };
+const destinationStaff = { id: String(objectId()), role: 'staff', bank_id: toBank };
+const admin = { id: String(objectId()), role: 'admin' };
+
+const makeTransfer = (fields = {}) => ({
+    _id: objectId(),
+    from_bank: fromBank,
+    to_bank: toBank,
+    blood_type: 'B+',
+    component: null,
+    units: 2,
+    status: 'Requested',
+    ...fields,
+});
+
+// The stored transfer after a successful claim: the update applied to `transfer`
+const claimed = (transfer, update) => {
+    const doc = { ...transfer, ...update.$set };
+    doc.save = mock.fn(async () => doc);
+    return doc;
+};
+
+describe('transfer transitions', () => {
+    afterEach(() => mock.restoreAll());
+
+    describe('allowedTransferTransitions', () => {
+        it('leaves approval to the source bank and cancelling to the destination', () => {
+            assert.deepEqual(allowedTransferTransitions(makeTransfer(), sourceStaff), ['Approved', 'Rejected']);
+            assert.deepEqual(allowedTransferTransitions(makeTransfer(), destinationStaff), ['Cancelled']);
+        });
+
+        it('leaves receipt to the destination bank', () => {
+            const transfer = makeTransfer({ status: 'Dispatched' });
+            assert.deepEqual(allowedTransferTransitions(transfer, sourceStaff), []);
+            assert.deepEqual(allowedTransferTransitions(transfer, destinationStaff), ['Received']);
+        });
+
+        it('lets admins make any move', () => {
+            assert.deepEqual(allowedTransferTransitions(makeTransfer({ status: 'Approved' }), admin), ['Dispatched', 'Rejected', 'Cancelled']);
+        });
+    });
+
+    describe('transitionTransfer', () => {
+        let session;
+
+        beforeEach(() => {
+            session = stubTransactions();
+            stubStockRefresh();
+            mock.method(BloodBank, 'findById', () => query({ active: true }));
+            mock.method(Transfer, 'findOneAndUpdate', async (filter, update) => claimed(makeTransfer({ _id: filter._id }), update));
+            mock.method(BloodUnit, 'updateMany', async () => ({ modifiedCount: 0 }));
+        });
+
+        it('rejects moves the lifecycle does not allow', async () => {
+            await assert.rejects(
+                transitionTransfer(makeTransfer({ status: 'Received' }), 'Dispatched', admin),
+                { status: 409, code: 'INVALID_TRANSITION' }
+            );
+        });
+
+        it('rejects staff of the wrong bank', async () => {
+            await assert.rejects(transitionTransfer(makeTransfer(), 'Approved', destinationStaff), { status: 403 });
+            assert.equal(Transfer.findOneAndUpdate.mock.callCount(), 0);
+        });
+
+        it('claims the status it started from and records the move', async () => {
+            const transfer = makeTransfer();
+            const updated = await transitionTransfer(transfer, 'Approved', sourceStaff, 'fine');
+
+            assert.equal(updated.status, 'Approved');
+            const [filter, update] = Transfer.findOneAndUpdate.mock.calls[0].arguments;
+            assert.deepEqual(filter, { _id: transfer._id, status: 'Requested' });
+            assert.equal(update.$push.history.from, 'Requested');
+            assert.equal(update.$push.history.actor, sourceStaff.id);
+        });
+
+        it('answers TRANSFER_CONFLICT when somebody moved it first', async () => {
+            mock.method(Transfer, 'findOneAndUpdate', async () => null);
+            await assert.rejects(
+                transitionTransfer(makeTransfer({ status: 'Approved' }), 'Dispatched', sourceStaff),
+                { status: 409, code: 'TRANSFER_CONFLICT' }
+            );
+            assert.equal(BloodUnit.updateMany.mock.callCount(), 0);
+        });
+
+        it('requires both banks to be active before stock moves', async () => {
+            mock.method(BloodBank, 'findById', (id) => query({ active: String(id) !== String(toBank) }));
+            await assert.rejects(
+                transitionTransfer(makeTransfer({ status: 'Approved' }), 'Dispatched', sourceStaff),
+                { code: 'BANK_INACTIVE' }
+            );
+            assert.equal(Transfer.findOneAndUpdate.mock.callCount(), 0);
+        });
+
+        it('still lets an open transfer to a deactivated bank be cancelled', async () => {
+            mock.method(BloodBank, 'findById', () => query({ active: false }));
+            const updated = await transitionTransfer(makeTransfer(), 'Cancelled', destinationStaff);
+            assert.equal(updated.status, 'Cancelled');
+        });
+
+        it('still lets a dispatched transfer be received when a bank was deactivated meanwhile', async () => {
+            mock.method(BloodBank, 'findById', () => query({ active: false }));
+            const updated = await transitionTransfer(makeTransfer({ status: 'Dispatched' }), 'Received', destinationStaff);
+            assert.equal(updated.status, 'Received');
+        });
+
+        it('puts the soonest-expiring units in transit on dispatch, in the claiming transaction', async () => {
+            const units = [{ _id: objectId() }, { _id: objectId() }];
+            mock.method(BloodUnit, 'find', () => query(units));
+
+            const updated = await transitionTransfer(makeTransfer({ status: 'Approved' }), 'Dispatched', sourceStaff);
+
+            assert.ok(updated.dispatched_at instanceof Date);
+            assert.equal(Transfer.findOneAndUpdate.mock.calls[0].arguments[2].session, session);
+            const [filter] = BloodUnit.find.mock.calls[0].arguments;
+            assert.equal(filter.bank_id, fromBank);
+            assert.equal(filter.status, 'available');
+            const [target, update, options] = BloodUnit.updateMany.mock.calls[0].arguments;
+            assert.deepEqual(target._id.$in, units.map((u) => u._id));
+            assert.equal(update.status, 'in_transit');
+            assert.equal(options.session, session);
+        });
+
+        it('fails the dispatch with INSUFFICIENT_STOCK when the source is short', async () => {
+            mock.method(BloodUnit, 'find', () => query([{ _id: objectId() }]));
+            await assert.rejects(
+                transitionTransfer(makeTransfer({ status: 'Approved' }), 'Dispatched', sourceStaff),
+                { code: 'INSUFFICIENT_STOCK', details: { needed: 2, available: 1 } }
+            );
+            assert.equal(BloodUnit.updateMany.mock.callCount(), 0);
+        });
+
+        it('writes off units that expired in transit and stocks the rest at the destination', async () => {
+            mock.method(BloodUnit, 'updateMany', async (filter) => ({ modifiedCount: filter.expiry_date ? 1 : 3 }));
+
+            const updated = await transitionTransfer(makeTransfer({ status: 'Dispatched' }), 'Received', destinationStaff);
+
+            const [expired, arrived] = BloodUnit.updateMany.mock.calls.map((call) => call.arguments);
+            assert.ok(expired[0].expiry_date.$lte instanceof Date);
+            assert.deepEqual(expired[1], { status: 'expired', bank_id: toBank });
+            assert.deepEqual(arrived[1], { status: 'available', bank_id: toBank });
+            assert.equal(updated.expired_in_transit, 1);
+            assert.ok(updated.received_at instanceof Date);
+            assert.equal(updated.save.mock.calls[0].arguments[0].session, session);
+        });
+    });
+});
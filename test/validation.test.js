@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../validation');
+
+// Runs the middleware; resolves with what it passed to next() and the request it saw
+const check = (schema, req) => {
+    const full = { params: {}, query: {}, body: {}, ...req };
+    return new Promise((resolve) => validate(schema)(full, {}, (err) => resolve({ err: err || null, req: full })));
+};
+
+const run = async (schema, req) => (await check(schema, req)).err;
+
+describe('validate', () => {
+    it('coerces params and query to the rule type', async () => {
+        const { err, req } = await check(
+            { query: { page: { type: 'integer', min: 1, default: 1 }, active: { type: 'boolean' }, ids: { type: 'array' } } },
+            { query: { active: 'false', ids: 'a, b,,c' } }
+        );
+        assert.equal(err, null);
+        assert.deepEqual(req.query, { page: 1, active: false, ids: ['a', 'b', 'c'] });
+    });
+
+    it('leaves body values uncoerced unless the rule asks for it', async () => {
+        const schema = { body: { units: { type: 'integer' }, count: { type: 'integer', coerce: true } } };
+
+        const { req } = await check(schema, { body: { units: 2, count: '3' } });
+        assert.deepEqual(req.body, { units: 2, count: 3 });
+
+        const err = await run(schema, { body: { units: '2' } });
+        assert.equal(err.status, 400);
+        assert.equal(err.message, 'units must be an integer');
+    });
+
+    it('answers 400 for missing or malformed input', async () => {
+        const err = await run({ body: { email: { type: 'email', required: true } } }, { body: {} });
+        assert.equal(err.status, 400);
+        assert.equal(err.code, 'VALIDATION_FAILED');
+        assert.deepEqual(err.details.errors, [{ location: 'body', field: 'email', message: 'email is required' }]);
+    });
+
+    it('answers 422 when well-formed values break a constraint', async () => {
+        const err = await run(
+            { body: { blood_type: { type: 'string', enum: ['A+', 'O-'] }, units: { type: 'integer', max: 10 } } },
+            { body: { blood_type: 'C+', units: 11 } }
+        );
+        assert.equal(err.status, 422);
+        assert.equal(err.message, 'Validation failed');
+        assert.deepEqual(err.details.errors.map((e) => e.field), ['blood_type', 'units']);
+    });
+
+    it('answers 400 when malformed and unprocessable fields come together', async () => {
+        const err = await run(
+            { body: { units: { type: 'integer', max: 10 }, name: { type: 'string' } } },
+            { body: { units: 11, name: 5 } }
+        );
+        assert.equal(err.status, 400);
+    });
+
+    it('checks nested fields, maps and lists with dotted paths', async () => {
+        const err = await run(
+            {
+                body: {
+                    address: { type: 'object', fields: { city: { type: 'string', required: true } } },
+                    stock: { type: 'object', keys: ['A+'], values: { type: 'integer', min: 0 } },
+                    tags: { type: 'array', items: { type: 'string', maxLength: 3 } },
+                },
+            },
+            { body: { address: {}, stock: { 'A+': -1, 'Z+': 1 }, tags: ['ok', 'long'] } }
+        );
+        assert.deepEqual(err.details.errors.map((e) => e.field), ['address.city', 'stock.A+', 'stock.Z+', 'tags[1]']);
+    });
+
+    it('honours nullable, allow and trim', async () => {
+        const schema = {
+            body: {
+                region: { type: 'string', enum: ['North'], nullable: true, default: 'North' },
+                radius: { type: 'number', allow: ['any'] },
+                name: { type: 'string', trim: true, required: true },
+            },
+        };
+
+        const { err, req } = await check(schema, { body: { region: null, radius: 'any', name: '  Ana ' } });
+        assert.equal(err, null);
+        assert.deepEqual(req.body, { region: null, radius: 'any', name: 'Ana' });
+
+        const blank = await run(schema, { body: { name: '   ' } });
+        assert.equal(blank.message, 'name is required');
+    });
+
+    it('runs check only on values that passed their other rules', async () => {
+        let calls = 0;
+        const rule = {
+            type: 'integer',
+            min: 1,
+            check: (value) => {
+                calls++;
+                return value % 2 ? 'units must be even' : null;
+            },
+        };
+
+        assert.equal((await run({ body: { units: rule } }, { body: { units: 0 } })).message, 'units must be at least 1');
+        assert.equal(calls, 0);
+        assert.equal((await run({ body: { units: rule } }, { body: { units: 3 } })).message, 'units must be even');
+    });
+
+    it('parses dates wherever they appear', async () => {
+        const { req } = await check({ body: { on: { type: 'date' } } }, { body: { on: '2026-03-01' } });
+        assert.ok(req.body.on instanceof Date);
+
+        assert.equal((await run({ body: { on: { type: 'date' } } }, { body: { on: 'soon' } })).status, 400);
+    });
+
+    it('runs refine once every field passed, as 422', async () => {
+        let refined = 0;
+        const schema = {
+            body: { low: { type: 'integer' }, high: { type: 'integer' } },
+            refine: (req) => {
+                refined++;
+                return req.body.low >= req.body.high ? [{ field: 'low', message: 'low must be below high' }] : [];
+            },
+        };
+
+        assert.equal((await run(schema, { body: { low: 'x' } })).status, 400);
+        assert.equal(refined, 0);
+
+        const err = await run(schema, { body: { low: 5, high: 5 } });
+        assert.equal(err.status, 422);
+        assert.deepEqual(err.details.errors, [{ location: 'body', field: 'low', message: 'low must be below high' }]);
+    });
+
+    it('rejects a body that is not an object', async () => {
+        const err = await run({ body: { name: { type: 'string' } } }, { body: ['x'] });
+        assert.equal(err.status, 400);
+        assert.equal(err.message, 'Request body must be an object');
+    });
+});
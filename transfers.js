@@ -0,0 +1,250 @@
+const { BloodBank, BloodUnit, Transfer } = require('./models');
+const { withTransaction, refreshInventory, assertActiveBank } = require('./inventory');
+const { publish } = require('./events');
+const { hasPermission, sameId } = require('./permissions');
+const { BLOOD_TYPES } = require('./utils');
+const { BadRequestError, ConflictError, ForbiddenError } = require('./errors');
+
+// Per-bank stock levels the transfer suggestions aim for
+const BANK_LOW_STOCK_THRESHOLD = parseInt(process.env.BANK_LOW_STOCK_THRESHOLD) || 5;
+const BANK_HIGH_STOCK_THRESHOLD = parseInt(process.env.BANK_HIGH_STOCK_THRESHOLD) || 20;
+
+const TRANSFER_STATUSES = ['Requested', 'Approved', 'Rejected', 'Dispatched', 'Received', 'Cancelled'];
+const OPEN_TRANSFER_STATUSES = ['Requested', 'Approved', 'Dispatched'];
+
+// from -> to -> whose staff may make that move; admins may make any of them.
+// 'source' is the bank giving the units (from_bank), 'destination' the one that asked (to_bank).
+const TRANSFER_TRANSITIONS = {
+    Requested: {
+        Approved: 'source',
+        Rejected: 'source',
+        Cancelled: 'destination',
+    },
+    Approved: {
+        Dispatched: 'source',
+        Rejected: 'source',
+        Cancelled: 'destination',
+    },
+    Dispatched: {
+        Received: 'destination',
+    },
+    Rejected: {},
+    Received: {},
+    Cancelled: {},
+};
+
+const BANK_FIELDS = { source: 'from_bank', destination: 'to_bank' };
+
+const canTransitionTransfer = (transfer, to, actor) => {
+    const side = TRANSFER_TRANSITIONS[transfer.status]?.[to];
+    if (!side || !hasPermission(actor, 'inventory:transfer')) return false;
+    return actor.role === 'admin' || sameId(transfer[BANK_FIELDS[side]], actor.bank_id);
+};
+
+// Statuses the actor may move this transfer to, for clients to build their controls
+const allowedTransferTransitions = (transfer, actor) => {
+    return Object.keys(TRANSFER_TRANSITIONS[transfer.status] || {})
+        .filter((to) => canTransitionTransfer(transfer, to, actor));
+};
+
+// Units leave the source bank soonest-expiring first
+const dispatchUnits = async (transfer, session) => {
+    const filter = {
+        blood_type: transfer.blood_type,
+        bank_id: transfer.from_bank,
+        status: 'available',
+        expiry_date: { $gt: new Date() },
+    };
+    if (transfer.component) filter.component = transfer.component;
+
+    const units = await BloodUnit.find(filter).sort({ expiry_date: 1 }).limit(transfer.units).select('_id').session(session);
+    if (units.length < transfer.units) {
+        throw new ConflictError(
+            `Insufficient ${transfer.blood_type} stock at the source bank: ` +
+            `${transfer.units} units needed, ${units.length} available`,
+            { code: 'INSUFFICIENT_STOCK', details: { needed: transfer.units, available: units.length } }
+        );
+    }
+
+    await BloodUnit.updateMany(
+        { _id: { $in: units.map((u) => u._id) }, status: 'available' },
+        { status: 'in_transit', transfer_id: transfer._id },
+        { session }
+    );
+};
+
+// Units in transit become available stock of the destination bank, unless they expired on the way
+const receiveUnits = async (transfer, session) => {
+    const now = new Date();
+    const expired = await BloodUnit.updateMany(
+        { transfer_id: transfer._id, status: 'in_transit', expiry_date: { $lte: now } },
+        { status: 'expired', bank_id: transfer.to_bank },
+        { session }
+    );
+    await BloodUnit.updateMany(
+        { transfer_id: transfer._id, status: 'in_transit' },
+        { status: 'available', bank_id: transfer.to_bank },
+        { session }
+    );
+    transfer.expired_in_transit = expired.modifiedCount;
+    await transfer.save({ session });
+};
+
+// Moves the status from `from` to `update.$set.status` only if nobody changed it in between
+const claimStatus = async (transfer, from, update, session = null) => {
+    const claimed = await Transfer.findOneAndUpdate({ _id: transfer._id, status: from }, update, { new: true, session });
+    if (!claimed) {
+        throw new ConflictError('The transfer was changed in the meantime, reload it and try again', {
+            code: 'TRANSFER_CONFLICT',
+        });
+    }
+    return claimed;
+};
+
+// actor is req.user. Dispatch and receipt move stock in the same transaction as the status
+// change; every other move only changes the status. Only active banks approve and dispatch;
+// rejecting, cancelling and receiving stay possible so open transfers can always be closed.
+const transitionTransfer = async (transfer, to, actor, note = '') => {
+    if (!TRANSFER_STATUSES.includes(to)) {
+        throw new BadRequestError(`Invalid status. Valid options: ${TRANSFER_STATUSES.join(', ')}`);
+    }
+    if (!TRANSFER_TRANSITIONS[transfer.status]?.[to]) {
+        throw new ConflictError(`Cannot move a ${transfer.status} transfer to ${to}`, { code: 'INVALID_TRANSITION' });
+    }
+    if (!canTransitionTransfer(transfer, to, actor)) {
+        throw new ForbiddenError(`You are not allowed to move this transfer to ${to}`);
+    }
+    if (to === 'Approved' || to === 'Dispatched') {
+        await assertActiveBank(transfer.from_bank);
+        await assertActiveBank(transfer.to_bank);
+    }
+
+    const from = transfer.status;
+    const now = new Date();
+    const update = {
+        $set: {
+            status: to,
+            ...(to === 'Dispatched' && { dispatched_at: now }),
+            ...(to === 'Received' && { received_at: now }),
+        },
+        $push: { history: { from, to, actor: actor.id, timestamp: now, note } },
+    };
+
+    let updated;
+    if (to === 'Dispatched' || to === 'Received') {
+        await withTransaction(async (session) => {
+            updated = await claimStatus(transfer, from, update, session);
+            if (to === 'Dispatched') await dispatchUnits(updated, session);
+            else await receiveUnits(updated, session);
+        });
+        await refreshInventory(updated.blood_type);
+    } else {
+        updated = await claimStatus(transfer, from, update);
+    }
+
+    publishTransfer(updated, from);
+    return updated;
+};
+
+const createTransfer = async ({ fromBankId, toBankId, bloodType, units, component = null, note = '', actor }) => {
+    if (sameId(fromBankId, toBankId)) {
+        throw new BadRequestError('A bank cannot request a transfer from itself', { code: 'SAME_BANK' });
+    }
+
+    const transfer = await Transfer.create({
+        from_bank: fromBankId,
+        to_bank: toBankId,
+        blood_type: bloodType,
+        component,
+        units,
+        requested_by: actor.id,
+        note,
+        history: [{ to: 'Requested', actor: actor.id, note: note || 'Transfer requested' }],
+    });
+    publishTransfer(transfer, null);
+    return transfer;
+};
+
+// Staff of both banks and admins follow a transfer
+const publishTransfer = (transfer, from) => {
+    publish(
+        'transfer.status',
+        {
+            transfer_id: transfer._id,
+            from,
+            to: transfer.status,
+            blood_type: transfer.blood_type,
+            units: transfer.units,
+            from_bank: transfer.from_bank,
+            to_bank: transfer.to_bank,
+        },
+        { roles: ['admin'], banks: [transfer.from_bank, transfer.to_bank] }
+    );
+};
+
+// Pairs active banks below the low mark with banks above the high mark, per blood type, largest
+// shortfall first. Open transfers count as already delivered to the destination and, until they
+// are dispatched, as already taken from the source.
+const suggestTransfers = async (bloodType = null) => {
+    const bloodTypes = bloodType ? [bloodType] : BLOOD_TYPES;
+    const banks = await BloodBank.find({ active: { $ne: false } }).select('name location');
+
+    const levels = new Map();
+    const key = (bankId, type) => `${bankId}:${type}`;
+    const add = (bankId, type, count) => {
+        if (levels.has(key(bankId, type))) levels.set(key(bankId, type), levels.get(key(bankId, type)) + count);
+    };
+    banks.forEach((bank) => bloodTypes.forEach((type) => levels.set(key(bank._id, type), 0)));
+
+    const stock = await BloodUnit.aggregate([
+        { $match: { status: 'available', blood_type: { $in: bloodTypes }, bank_id: { $in: banks.map((b) => b._id) } } },
+        { $group: { _id: { bank_id: '$bank_id', blood_type: '$blood_type' }, count: { $sum: 1 } } },
+    ]);
+    stock.forEach(({ _id, count }) => add(_id.bank_id, _id.blood_type, count));
+
+    const open = await Transfer.find({ status: { $in: OPEN_TRANSFER_STATUSES }, blood_type: { $in: bloodTypes } });
+    open.forEach((transfer) => {
+        add(transfer.to_bank, transfer.blood_type, transfer.units);
+        if (transfer.status !== 'Dispatched') add(transfer.from_bank, transfer.blood_type, -transfer.units);
+    });
+
+    const summary = (bank, type) => ({ _id: bank._id, name: bank.name, location: bank.location, units: levels.get(key(bank._id, type)) });
+    const suggestions = [];
+
+    for (const type of bloodTypes) {
+        const short = banks
+            .map((bank) => ({ bank, need: BANK_LOW_STOCK_THRESHOLD - levels.get(key(bank._id, type)) }))
+            .filter((entry) => entry.need > 0)
+            .sort((a, b) => b.need - a.need);
+        const spare = banks
+            .map((bank) => ({ bank, spare: levels.get(key(bank._id, type)) - BANK_HIGH_STOCK_THRESHOLD }))
+            .filter((entry) => entry.spare > 0);
+
+        for (const entry of short) {
+            while (entry.need > 0) {
+                const source = spare.filter((s) => s.spare > 0).sort((a, b) => b.spare - a.spare)[0];
+                if (!source) break;
+
+                const units = Math.min(entry.need, source.spare);
+                suggestions.push({
+                    blood_type: type,
+                    units,
+                    from_bank: summary(source.bank, type),
+                    to_bank: summary(entry.bank, type),
+                });
+                entry.need -= units;
+                source.spare -= units;
+            }
+        }
+    }
+
+    return {
+        thresholds: { low: BANK_LOW_STOCK_THRESHOLD, high: BANK_HIGH_STOCK_THRESHOLD },
+        suggestions,
+    };
+};
+
+module.exports = {
+    TRANSFER_STATUSES, OPEN_TRANSFER_STATUSES, TRANSFER_TRANSITIONS, allowedTransferTransitions,
+    createTransfer, transitionTransfer, suggestTransfers,
+};
@@ -1,12 +1,113 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
-const { User } = require('./models');
+const { User, RefreshToken, AuthToken, RoleAudit } = require('./models');
+const { UnauthorizedError } = require('./errors');
+const { disconnectUser } = require('./events');
 
 const SECRET = process.env.JWT_SECRET;
 const SALT_ROUNDS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const PASSWORD_MIN_LENGTH = 8;
+
+// Every JSON response has this envelope
+const sendResponse = (res, success, message, data = null, status = 200) => {
+    return res.status(status).json({ success, message, data });
+};
+
+// How long mailed single-use tokens stay valid
+const AUTH_TOKEN_TTL_MS = {
+    password_reset: 60 * 60 * 1000,
+    email_verification: DAY_MS,
+};
+
+// Minimum gap between two whole-blood donations
+const DONATION_INTERVAL_DAYS = parseInt(process.env.DONATION_INTERVAL_DAYS) || 56;
 
 const generateToken = (payload) => {
-    return jwt.sign(payload, SECRET, { expiresIn: '1d' });
+    return jwt.sign(payload, SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived access token plus an opaque refresh token stored server-side
+const issueTokens = async (user) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const stored = await RefreshToken.create({
+        user_id: user._id,
+        token_hash: hashToken(refreshToken),
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+    });
+
+    return {
+        token: generateToken({ id: user._id, role: user.role, tv: user.token_version || 0 }),
+        refreshToken,
+        refreshTokenId: stored._id,
+    };
+};
+
+// Swaps a refresh token for a new pair. Presenting an already rotated token means it leaked,
+// so every session of that user is revoked. Returns null when the token is not usable.
+const rotateRefreshToken = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken || '');
+
+    // claimed atomically so two concurrent refreshes cannot both succeed
+    const stored = await RefreshToken.findOneAndUpdate(
+        { token_hash: tokenHash, revoked_at: null, expires_at: { $gt: new Date() } },
+        { revoked_at: new Date() }
+    );
+    if (!stored) {
+        const reused = await RefreshToken.findOne({ token_hash: tokenHash, replaced_by: { $ne: null } });
+        if (reused) await revokeSessions(reused.user_id);
+        return null;
+    }
+
+    const user = await User.findById(stored.user_id);
+    if (!user) return null;
+
+    const tokens = await issueTokens(user);
+    await RefreshToken.updateOne({ _id: stored._id }, { replaced_by: tokens.refreshTokenId });
+
+    return { user, ...tokens };
+};
+
+// Only the owner's own token is revoked, a token of another user is ignored
+const revokeRefreshToken = async (refreshToken, userId) => {
+    const result = await RefreshToken.updateOne(
+        { token_hash: hashToken(refreshToken || ''), user_id: userId, revoked_at: null },
+        { revoked_at: new Date() }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Invalidates all access tokens (token_version) and refresh tokens of a user
+const revokeSessions = async (userId) => {
+    await User.updateOne({ _id: userId }, { $inc: { token_version: 1 } });
+    await RefreshToken.updateMany({ user_id: userId, revoked_at: null }, { revoked_at: new Date() });
+    disconnectUser(userId);
+};
+
+// Issuing a new token voids any unused one the user still has for the same purpose
+const createAuthToken = async (userId, purpose) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await AuthToken.updateMany({ user_id: userId, purpose, used_at: null }, { used_at: new Date() });
+    await AuthToken.create({
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + AUTH_TOKEN_TTL_MS[purpose]),
+    });
+    return token;
+};
+
+// Marks the token used and returns it, or null when unknown, expired or already used
+const consumeAuthToken = async (token, purpose) => {
+    return AuthToken.findOneAndUpdate(
+        { token_hash: hashToken(token || ''), purpose, used_at: null, expires_at: { $gt: new Date() } },
+        { used_at: new Date() }
+    );
 };
 
 const hashPassword = async (password) => {
@@ -17,32 +118,45 @@ const comparePassword = async (password, hash) => {
     return bcrypt.compare(password, hash);
 };
 
-const protect = (req, res, next) => {
+const protect = async (req, res, next) => {
     let token;
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
         token = req.headers.authorization.split(' ')[1];
     }
 
     if (!token) {
-        return res.status(401).json({ success: false, message: 'Not authorized, no token' });
+        return next(new UnauthorizedError('Not authorized, no token', { code: 'TOKEN_MISSING' }));
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(token, SECRET);
     } catch (error) {
-        return res.status(401).json({ success: false, message: 'Not authorized, token failed' });
+        return next(new UnauthorizedError('Not authorized, token failed', { code: 'TOKEN_INVALID' }));
     }
-};
 
-const restrictTo = (roles) => (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-        return res.status(403).json({ success: false, message: 'Forbidden: You do not have permission' });
+    // deleted users and revoked sessions fail here; role and assignment always come from the database
+    const user = await User.findById(decoded.id).select('role token_version bank_id region');
+    if (!user || (user.token_version || 0) !== (decoded.tv || 0)) {
+        return next(new UnauthorizedError('Not authorized, session revoked', { code: 'SESSION_REVOKED' }));
     }
+
+    req.user = { ...decoded, role: user.role, bank_id: user.bank_id, region: user.region };
     next();
 };
 
+const recordRoleChange = async ({ user, fromRole = null, grantedBy = null, via, inviteId = null }) => {
+    return RoleAudit.create({
+        user_id: user._id,
+        email: user.email,
+        from_role: fromRole,
+        to_role: user.role,
+        granted_by: grantedBy,
+        via,
+        invite_id: inviteId,
+    });
+};
+
 const seedAdmin = async () => {
     try {
         const adminEmail = process.env.ADMIN_EMAIL;
@@ -52,14 +166,16 @@ const seedAdmin = async () => {
 
         if (!existingAdmin) {
             const hashedPassword = await hashPassword(adminPass);
-            await User.create({
+            const admin = await User.create({
                 full_name: adminName,
                 email: adminEmail,
                 phone: '0000000000',
                 password_hash: hashedPassword,
                 role: 'admin',
                 blood_type: 'O+',
+                email_verified: true,
             });
+            await recordRoleChange({ user: admin, via: 'seed' });
             console.log('Admin user seeded successfully');
         } else {
             console.log('Admin user already exists');
@@ -69,12 +185,99 @@ const seedAdmin = async () => {
     }
 };
 
-const mockPredictions = {
-    "A+": 72, "A-": 55, "B+": 64, "B-": 40,
-    "O+": 78, "O-": 32, "AB+": 59, "AB-": 44
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'O+', 'O-', 'AB+', 'AB-'];
+
+// Red cell compatibility: recipient type -> donor types that can give to it.
+// Each list is ordered by preference: exact match first, O- (universal donor) always last
+// so it is only used as a fallback.
+const RED_CELL_COMPATIBILITY = {
+    'O-': ['O-'],
+    'O+': ['O+', 'O-'],
+    'A-': ['A-', 'O-'],
+    'A+': ['A+', 'A-', 'O+', 'O-'],
+    'B-': ['B-', 'O-'],
+    'B+': ['B+', 'B-', 'O+', 'O-'],
+    'AB-': ['AB-', 'A-', 'B-', 'O-'],
+    'AB+': ['AB+', 'AB-', 'A+', 'A-', 'B+', 'B-', 'O+', 'O-'],
+};
+
+const compatibleDonorTypes = (recipientType) => {
+    return RED_CELL_COMPATIBILITY[recipientType] || [];
+};
+
+const compatibleRecipientTypes = (donorType) => {
+    return BLOOD_TYPES.filter((type) => compatibleDonorTypes(type).includes(donorType));
+};
+
+// Lower is better, -1 means the donor cannot give to this recipient
+const compatibilityRank = (donorType, recipientType) => {
+    return compatibleDonorTypes(recipientType).indexOf(donorType);
+};
+
+// Accounts created before email verification existed are treated as verified
+const migrateEmailVerification = async () => {
+    const result = await User.updateMany({ email_verified: { $exists: false } }, { $set: { email_verified: true } });
+    if (result.modifiedCount) {
+        console.log(`Marked ${result.modifiedCount} existing users as email verified`);
+    }
+};
+
+const getDonorEligibility = (donor, now = new Date()) => {
+    const reasons = [];
+    let eligibleOn = null;
+
+    if (donor.last_donation_date) {
+        const nextDate = new Date(donor.last_donation_date.getTime() + DONATION_INTERVAL_DAYS * DAY_MS);
+        if (nextDate > now) {
+            reasons.push(`Minimum interval of ${DONATION_INTERVAL_DAYS} days since last donation`);
+            eligibleOn = nextDate;
+        }
+    }
+
+    const activeDeferrals = (donor.deferrals || []).filter(
+        (d) => !d.lifted_at && (d.type === 'permanent' || d.expires_at > now)
+    );
+
+    for (const deferral of activeDeferrals) {
+        reasons.push(deferral.reason);
+        if (deferral.type === 'permanent') continue;
+        if (!eligibleOn || deferral.expires_at > eligibleOn) eligibleOn = deferral.expires_at;
+    }
+
+    const permanent = activeDeferrals.some((d) => d.type === 'permanent');
+
+    return {
+        eligible: reasons.length === 0,
+        permanent,
+        eligible_on: permanent ? null : eligibleOn,
+        reasons,
+    };
+};
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// GeoJSON point from user input, null when either coordinate is missing or out of range
+const toPoint = (latitude, longitude) => {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+    return { type: 'Point', coordinates: [lng, lat] };
 };
 
+const withinRadius = (point, radiusKm) => ({
+    $geoWithin: { $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM] },
+});
+
+// User text matched literally inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 module.exports = {
-    generateToken, hashPassword, comparePassword,
-    protect, restrictTo, seedAdmin, mockPredictions
+    sendResponse,
+    generateToken, issueTokens, rotateRefreshToken, revokeRefreshToken, revokeSessions,
+    PASSWORD_MIN_LENGTH, createAuthToken, consumeAuthToken, hashToken, recordRoleChange,
+    hashPassword, comparePassword,
+    protect, seedAdmin, migrateEmailVerification,
+    BLOOD_TYPES, compatibleDonorTypes, compatibleRecipientTypes, compatibilityRank,
+    DONATION_INTERVAL_DAYS, getDonorEligibility, toPoint, withinRadius, escapeRegex,
 };
\ No newline at end of file
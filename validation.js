@@ -0,0 +1,153 @@
+const { ValidationError } = require('./errors');
+
+// A schema maps each request location (params, query, body) to field rules:
+//   { type, required, default, nullable, enum, allow, min, max, minLength, maxLength, pattern,
+//     trim, coerce, fields, keys, values, items, check, message }
+// type is one of string, number, integer, boolean, date, objectId, email, object, array.
+// params and query always arrive as strings and are coerced to the rule's type; body values
+// are only coerced when the rule sets coerce: true. Dates are parsed wherever they appear.
+
+const LOCATIONS = ['params', 'query', 'body'];
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number' && Number.isFinite(value),
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    date: (value) => value instanceof Date && !isNaN(value),
+    objectId: (value) => typeof value === 'string' && OBJECT_ID_PATTERN.test(value),
+    email: (value) => typeof value === 'string' && EMAIL_PATTERN.test(value),
+    object: isPlainObject,
+    array: Array.isArray,
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'a boolean',
+    date: 'a valid date',
+    objectId: 'a valid id',
+    email: 'a valid email address',
+    object: 'an object',
+    array: 'an array',
+};
+
+const coerce = (type, value) => {
+    if (typeof value !== 'string') return value;
+    if ((type === 'number' || type === 'integer') && value.trim() !== '' && !isNaN(value)) return Number(value);
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    if (type === 'array') return value.split(',').map((item) => item.trim()).filter(Boolean);
+    return value;
+};
+
+// Missing or wrongly typed input is malformed (400); well-formed values that break a
+// constraint such as an enum or range are unprocessable (422)
+const fieldError = (location, field, message, malformed) => ({ location, field, message, malformed });
+
+const checkValue = (rule, value, location, field, shouldCoerce, errors) => {
+    if (isBlank(value) && rule.default !== undefined && !(value === null && rule.nullable)) {
+        return typeof rule.default === 'function' ? rule.default() : rule.default;
+    }
+    if (value === null && rule.nullable) return null;
+    if (isBlank(value) || (rule.trim && typeof value === 'string' && !value.trim())) {
+        if (rule.required) errors.push(fieldError(location, field, `${field} is required`, true));
+        return undefined;
+    }
+    if (rule.allow?.includes(value)) return value;
+
+    if (shouldCoerce || rule.coerce) value = coerce(rule.type, value);
+    if (rule.type === 'date' && (typeof value === 'string' || typeof value === 'number')) value = new Date(value);
+    if (rule.trim && typeof value === 'string') value = value.trim();
+
+    if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+        errors.push(fieldError(location, field, rule.message || `${field} must be ${TYPE_NAMES[rule.type]}`, true));
+        return value;
+    }
+
+    const before = errors.length;
+    const fail = (message) => errors.push(fieldError(location, field, rule.message || message, false));
+
+    if (rule.enum && !rule.enum.includes(value)) fail(`${field} must be one of ${rule.enum.join(', ')}`);
+    if (rule.min !== undefined && value < rule.min) fail(`${field} must be at least ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) fail(`${field} must be at most ${rule.max}`);
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        fail(`${field} must have at least ${rule.minLength} ${rule.type === 'array' ? 'items' : 'characters'}`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        fail(`${field} must have at most ${rule.maxLength} ${rule.type === 'array' ? 'items' : 'characters'}`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) fail(`${field} has an invalid format`);
+
+    if (rule.fields) value = checkFields(rule.fields, value, location, `${field}.`, shouldCoerce, errors);
+    if (rule.keys || rule.values) {
+        value = Object.fromEntries(Object.entries(value).map(([key, item]) => {
+            if (rule.keys && !rule.keys.includes(key)) {
+                errors.push(fieldError(location, `${field}.${key}`, `${key} is not a valid key, use ${rule.keys.join(', ')}`, false));
+            }
+            return [key, rule.values ? checkValue(rule.values, item, location, `${field}.${key}`, shouldCoerce, errors) : item];
+        }));
+    }
+    if (rule.items) {
+        value = value.map((item, i) => checkValue(rule.items, item, location, `${field}[${i}]`, shouldCoerce, errors));
+    }
+
+    if (rule.check && errors.length === before) {
+        const message = rule.check(value);
+        if (message) fail(message);
+    }
+    return value;
+};
+
+// Declared fields are checked and replaced by their coerced values; undeclared fields pass through
+const checkFields = (fields, source, location, prefix, shouldCoerce, errors) => {
+    const result = { ...source };
+    Object.entries(fields).forEach(([field, rule]) => {
+        const value = checkValue(rule, source[field], location, `${prefix}${field}`, shouldCoerce, errors);
+        if (value === undefined) delete result[field];
+        else result[field] = value;
+    });
+    return result;
+};
+
+// schema.refine(req) may return extra errors as [{ field, message }] once every field
+// passed, for rules that span several fields
+const validate = (schema) => (req, res, next) => {
+    const errors = [];
+
+    LOCATIONS.forEach((location) => {
+        if (!schema[location]) return;
+        const source = req[location] ?? {};
+        if (!isPlainObject(source)) {
+            errors.push(fieldError(location, null, `Request ${location} must be an object`, true));
+            return;
+        }
+
+        const values = checkFields(schema[location], source, location, '', location !== 'body', errors);
+        // Express 5 exposes req.query through a getter, so the parsed copy is pinned on the request
+        if (location === 'query') {
+            Object.defineProperty(req, 'query', { value: values, writable: true, configurable: true, enumerable: true });
+        } else {
+            req[location] = values;
+        }
+    });
+
+    if (!errors.length && schema.refine) {
+        (schema.refine(req) || []).forEach(({ location = 'body', field, message }) => {
+            errors.push(fieldError(location, field, message, false));
+        });
+    }
+
+    if (!errors.length) return next();
+    next(new ValidationError(errors.length === 1 ? errors[0].message : 'Validation failed', {
+        status: errors.some((error) => error.malformed) ? 400 : 422,
+        details: { errors: errors.map(({ malformed, ...error }) => error) },
+    }));
+};
+
+module.exports = { validate };